@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AUTO_FIRE_STOP_REASONS,
+  findAutoFireStopReason,
+  findWinStopReason,
+  getAutoFireInterval,
+} from '../auto-fire.js';
+
+test('getAutoFireInterval converts balls per minute to milliseconds', () => {
+  assert.equal(getAutoFireInterval(60), 1000);
+  assert.equal(getAutoFireInterval('100'), 600);
+  assert.equal(getAutoFireInterval(0), null);
+  assert.equal(getAutoFireInterval('fast'), null);
+});
+
+test('findAutoFireStopReason checks the credit floor and ball limit', () => {
+  const options = { stopBelowCredits: 10, stopAfterBalls: 5 };
+
+  assert.equal(
+    findAutoFireStopReason({ credits: 10, fired: 4 }, options),
+    null
+  );
+  assert.equal(
+    findAutoFireStopReason({ credits: 9, fired: 0 }, options),
+    AUTO_FIRE_STOP_REASONS.LOW_CREDITS
+  );
+  assert.equal(
+    findAutoFireStopReason({ credits: 50, fired: 5 }, options),
+    AUTO_FIRE_STOP_REASONS.BALL_LIMIT
+  );
+  assert.equal(findAutoFireStopReason({ credits: 0, fired: 99 }), null);
+});
+
+test('findWinStopReason distinguishes RUSH entries from other wins', () => {
+  const rushEntry = { isRush: true, mode: 'normal' };
+  const rushContinuation = { isRush: true, mode: 'rush' };
+
+  assert.equal(
+    findWinStopReason(rushEntry, { stopOnRush: true }),
+    AUTO_FIRE_STOP_REASONS.RUSH
+  );
+  assert.equal(findWinStopReason(rushContinuation, { stopOnRush: true }), null);
+  assert.equal(
+    findWinStopReason(rushContinuation, { stopOnWin: true }),
+    AUTO_FIRE_STOP_REASONS.WIN
+  );
+  assert.equal(findWinStopReason({ isRush: false, mode: 'normal' }), null);
+});
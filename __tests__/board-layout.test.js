@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LAYOUT_PROBLEMS,
+  applyLayoutToPockets,
+  sortPocketsByOpening,
+  validateBoardLayout,
+} from '../board-layout.js';
+import { DEFAULT_BOARD_LAYOUT } from '../physics.js';
+import { DEFAULT_ENGINE_CONFIG } from '../engine.js';
+
+const POCKETS = [
+  { id: 'left', label: '左' },
+  { id: 'right', label: '右' },
+  { id: 'out', label: 'アウト', isOut: true },
+];
+
+const LAYOUT = {
+  width: 100,
+  height: 200,
+  pins: [{ x: 50, y: 100 }],
+  openings: [
+    { pocketId: 'right', x: 60, width: 40 },
+    { pocketId: 'left', x: 0, width: 40 },
+  ],
+};
+
+test('the default layout passes validation', () => {
+  assert.deepEqual(
+    validateBoardLayout(DEFAULT_BOARD_LAYOUT, DEFAULT_ENGINE_CONFIG.pockets),
+    []
+  );
+});
+
+test('validateBoardLayout reports overlapping pins and openings', () => {
+  const problems = validateBoardLayout(
+    {
+      ...LAYOUT,
+      pins: [
+        { x: 50, y: 100 },
+        { x: 52, y: 101 },
+        { x: 120, y: 10 },
+      ],
+      openings: [
+        { pocketId: 'left', x: 0, width: 50 },
+        { pocketId: 'right', x: 45, width: 60 },
+        { pocketId: 'ghost', x: 110, width: 10 },
+      ],
+    },
+    POCKETS
+  );
+
+  assert.deepEqual(
+    problems.map(({ code }) => code),
+    [
+      LAYOUT_PROBLEMS.PIN_OVERLAP,
+      LAYOUT_PROBLEMS.PIN_OUTSIDE,
+      LAYOUT_PROBLEMS.OPENING_OVERLAP,
+      LAYOUT_PROBLEMS.OPENING_OUTSIDE,
+      LAYOUT_PROBLEMS.OPENING_OUTSIDE,
+      LAYOUT_PROBLEMS.UNKNOWN_POCKET,
+    ]
+  );
+  assert.deepEqual(problems[0].pins, [0, 1]);
+  assert.deepEqual(problems[2].openings, [0, 1]);
+});
+
+test('validateBoardLayout reports pockets the ball cannot reach', () => {
+  const problems = validateBoardLayout(
+    {
+      ...LAYOUT,
+      pins: [],
+      openings: [
+        { pocketId: 'left', x: 45, width: 4 },
+        { pocketId: 'right', x: 96, width: 4 },
+      ],
+    },
+    [...POCKETS, { id: 'center', label: '中央' }]
+  );
+
+  assert.deepEqual(
+    problems.map(({ code, pocketId }) => [code, pocketId]),
+    [
+      [LAYOUT_PROBLEMS.POCKET_UNREACHABLE, 'left'],
+      [LAYOUT_PROBLEMS.POCKET_UNREACHABLE, 'right'],
+      [LAYOUT_PROBLEMS.POCKET_UNREACHABLE, 'center'],
+    ]
+  );
+
+  const blocked = validateBoardLayout(
+    {
+      ...LAYOUT,
+      pins: [],
+      openings: [
+        { pocketId: 'left', x: 0, width: 20 },
+        { pocketId: 'right', x: 92, width: 3 },
+      ],
+      ballRadius: 1,
+      entrySpread: 0,
+      jitter: 0,
+    },
+    POCKETS
+  );
+  assert.deepEqual(
+    blocked.map(({ message }) => message),
+    ['右にはどの強さでも玉が届きません。']
+  );
+});
+
+test('opening positions drive pocket shifts and pocket order', () => {
+  const pockets = applyLayoutToPockets(
+    [
+      { id: 'left', shift: '-40px', midShift: '-20px', earlyShift: '5px' },
+      { id: 'right' },
+      { id: 'out' },
+    ],
+    LAYOUT
+  );
+
+  assert.deepEqual(pockets[0], {
+    id: 'left',
+    shift: '-30px',
+    midShift: '-10px',
+    earlyShift: '15px',
+  });
+  assert.deepEqual(pockets[1], {
+    id: 'right',
+    shift: '30px',
+    midShift: '15px',
+    earlyShift: '6px',
+  });
+  assert.deepEqual(pockets[2], { id: 'out' });
+  assert.deepEqual(applyLayoutToPockets(pockets, LAYOUT), pockets);
+  assert.deepEqual(
+    sortPocketsByOpening(
+      [{ id: 'out' }, { id: 'right' }, { id: 'left' }],
+      LAYOUT
+    ).map(({ id }) => id),
+    ['left', 'right', 'out']
+  );
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { loadSpecArgument, readArgument } from '../cli.js';
+
+const MONTE_CARLO = fileURLToPath(
+  new URL('../simulate-monte-carlo.js', import.meta.url)
+);
+const SIMULATE_RUSH = fileURLToPath(
+  new URL('../simulate-rush.js', import.meta.url)
+);
+
+test('readArgument reads separate and inline values', () => {
+  const args = ['--seed', '12', '--stop-on=spins=50', '--format=', '--spec'];
+
+  assert.equal(readArgument(args, '--seed'), '12');
+  assert.equal(readArgument(args, '--stop-on'), 'spins=50');
+  assert.equal(readArgument(args, '--format'), '');
+  assert.equal(readArgument(args, '--spec'), null);
+  assert.equal(readArgument(args, '--trials'), null);
+});
+
+test('loadSpecArgument resolves preset ids', () => {
+  assert.deepEqual(loadSpecArgument('standard'), {
+    name: '標準',
+    description: '',
+    config: {},
+  });
+  assert.equal(loadSpecArgument('amadeji').name, '甘デジ');
+});
+
+test('the Monte Carlo CLI accepts --flag=value=N arguments', () => {
+  const result = spawnSync(
+    process.execPath,
+    [
+      MONTE_CARLO,
+      '--trials=2',
+      '--seed=3',
+      '--workers=1',
+      '--stop-on=spins=5',
+      '--format=csv',
+    ],
+    { encoding: 'utf8', timeout: 60000 }
+  );
+
+  assert.equal(result.status, 0, result.stderr);
+  const rows = result.stdout.trim().split('\n').slice(1);
+  assert.equal(rows.length, 2);
+  rows.forEach((row) => {
+    const columns = row.split(',');
+    assert.ok(Number(columns[3]) >= 5);
+    assert.notEqual(columns[columns.length - 1], 'limit');
+  });
+});
+
+test('the Monte Carlo CLI exits with an error for an invalid worker count', () => {
+  const result = spawnSync(
+    process.execPath,
+    [MONTE_CARLO, '--trials', '2', '--workers', 'abc'],
+    { encoding: 'utf8', timeout: 60000 }
+  );
+
+  assert.equal(result.status, 1);
+  assert.equal(result.stdout, '');
+  assert.match(result.stderr, /workers must be a positive integer/);
+});
+
+test('the Monte Carlo CLI reports bad --format, --spec, and --max-balls values without a stack trace', () => {
+  [
+    [['--format', 'xml'], /^Unknown format: xml\. Use text, json, csv\.\n$/],
+    [['--spec', 'missing-spec.json'], /^ENOENT: no such file or directory/],
+    [['--max-balls', 'abc'], /^maxBalls must be a positive integer\.\n$/],
+  ].forEach(([args, message]) => {
+    const result = spawnSync(process.execPath, [MONTE_CARLO, ...args], {
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, message);
+    assert.doesNotMatch(result.stderr, /\n\s+at /);
+  });
+});
+
+test('the fairness audit CLI reports bad --draws and --significance values', () => {
+  [
+    [['--draws', 'abc'], /^draws must be a positive integer\.\n$/],
+    [['--significance', 'abc'], /^significance must be between 0 and 1\.\n$/],
+  ].forEach(([args, message]) => {
+    const result = spawnSync(
+      process.execPath,
+      [SIMULATE_RUSH, '--audit', ...args],
+      { encoding: 'utf8', timeout: 60000 }
+    );
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, message);
+  });
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig } from '../config-validation.js';
+import { DEFAULT_ENGINE_CONFIG, PachinkoEngine } from '../engine.js';
+
+test('the default engine config has no problems', () => {
+  assert.deepEqual(validateConfig(DEFAULT_ENGINE_CONFIG), []);
+  assert.deepEqual(validateConfig({}), []);
+});
+
+test('validateConfig reports every problem with its path', () => {
+  const problems = validateConfig({
+    hitRate: 5,
+    ballCost: 0,
+    holdLimit: 1.5,
+    trajectory: 'magic',
+    randomProvider: 42,
+    pockets: [
+      { id: 'hit', reward: -10, weight: 1 },
+      { id: 'miss', weight: 'heavy', strengthWeights: { 50: -1, 120: 1 } },
+      { id: 'hit', weight: -2, triggersLottery: 'yes', rounds: 2.5 },
+      null,
+    ],
+  });
+
+  assert.deepEqual(
+    problems.map(({ message }) => message),
+    [
+      'ballCost must be > 0',
+      'hitRate must be <= 1',
+      'holdLimit must be an integer',
+      'randomProvider must be a function or null',
+      'trajectory must be one of weights, physics',
+      'pockets[0].reward must be >= 0',
+      'pockets[1].weight must be a finite number',
+      'pockets[1].strengthWeights[50] must be >= 0',
+      'pockets[1].strengthWeights[120] must use a strength between 0 and 100',
+      'pockets[2].rounds must be an integer',
+      'pockets[2].triggersLottery must be a boolean',
+      'pockets[2].weight must be >= 0',
+      'pockets[2].id duplicates pockets[0].id "hit"',
+      'pockets[3] must be an object',
+    ]
+  );
+  assert.equal(problems[0].path, 'ballCost');
+  assert.equal(problems[7].path, 'pockets[1].strengthWeights[50]');
+});
+
+test('the engine refuses invalid configs with one aggregated error', () => {
+  assert.throws(
+    () =>
+      new PachinkoEngine({
+        hitRate: -1,
+        pockets: [
+          { id: 'a', weight: 1 },
+          { id: 'a', weight: 1 },
+        ],
+      }),
+    {
+      message: [
+        'Invalid PachinkoEngine config:',
+        '- hitRate must be >= 0',
+        '- pockets[1].id duplicates pockets[0].id "a"',
+      ].join('\n'),
+    }
+  );
+  assert.throws(() => new PachinkoEngine({ pockets: 'none' }), {
+    message: /pockets must contain at least one pocket/,
+  });
+});
@@ -0,0 +1,550 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GAME_EVENTS,
+  GAME_MODES,
+  DEFAULT_ENGINE_CONFIG,
+  LANDING_STATUS,
+  PachinkoEngine,
+  isLotteryPocket,
+} from '../engine.js';
+
+function createSequenceRandomProvider(values) {
+  let index = 0;
+  return () => {
+    const value = values[index] ?? values[values.length - 1] ?? 0;
+    index += 1;
+    return value;
+  };
+}
+
+const POCKETS = [
+  { id: 'hit', label: 'ヒット', reward: 10, rushReward: 40, weight: 1 },
+  { id: 'miss', label: 'ハズレ', reward: 0, weight: 1 },
+];
+
+function createEngine(overrides = {}, options = {}) {
+  return new PachinkoEngine(
+    {
+      initialCredits: 20,
+      ballCost: 1,
+      hitRate: 0.5,
+      rushRate: 0.25,
+      pockets: POCKETS,
+      ...overrides,
+    },
+    options
+  );
+}
+
+test('PachinkoEngine requires at least one pocket', () => {
+  assert.throws(() => createEngine({ pockets: [] }), /at least one pocket/);
+});
+
+test('shoot settles a ball without any DOM', () => {
+  const messages = [];
+  const engine = createEngine(
+    { randomProvider: createSequenceRandomProvider([0, 0, 0.6, 0.9]) },
+    { log: (message) => messages.push(message) }
+  );
+
+  const result = engine.shoot();
+
+  assert.equal(result.pocket.id, 'hit');
+  assert.equal(result.status, LANDING_STATUS.SPIN);
+  assert.deepEqual(result.outcome, { isWin: true, isRush: false, reward: 10 });
+  assert.equal(engine.credits, 29);
+  assert.equal(engine.ballCount, 1);
+  assert.equal(engine.mode, GAME_MODES.BIG_HIT);
+  assert.ok(messages.some((message) => message.includes('ヒットが発動')));
+});
+
+test('shoot returns null once credits run out', () => {
+  const engine = createEngine({
+    initialCredits: 1,
+    randomProvider: () => 0.9,
+  });
+
+  assert.ok(engine.shoot());
+  assert.equal(engine.shoot(), null);
+  assert.equal(engine.ballCount, 1);
+});
+
+test('landBall holds lotteries while a spin is pending', () => {
+  const engine = createEngine({ holdLimit: 1, randomProvider: () => 0.9 });
+  const [hit] = POCKETS;
+
+  assert.equal(engine.landBall(hit).status, LANDING_STATUS.SPIN);
+  assert.equal(engine.landBall(hit).status, LANDING_STATUS.HOLD);
+  assert.equal(engine.landBall(hit).status, LANDING_STATUS.OVERFLOW);
+  assert.equal(engine.getHoldQueue().length, 1);
+
+  engine.completeSpin();
+  assert.equal(engine.startNextSpin().pocket.id, 'hit');
+  assert.equal(engine.getHoldQueue().length, 0);
+});
+
+test('snapshot and reset expose and restore the initial state', () => {
+  const engine = createEngine({ randomProvider: () => 0 });
+
+  engine.shoot();
+  const snapshot = engine.snapshot();
+  assert.equal(snapshot.credits, 59);
+  assert.equal(snapshot.mode, GAME_MODES.BIG_HIT);
+  assert.equal(snapshot.lastOutcome.isRush, true);
+
+  engine.reset();
+  assert.deepEqual(engine.snapshot(), {
+    seed: null,
+    launchStrength: 50,
+    credits: 20,
+    ballCount: 0,
+    mode: GAME_MODES.NORMAL,
+    nextMode: null,
+    spinsRemaining: 0,
+    isSpinning: false,
+    holdQueue: [],
+    attacker: null,
+    lastOutcome: null,
+    currentRush: null,
+    lastRushSummary: null,
+    dataCounter: {
+      totalSpins: 0,
+      spinsSinceHit: 0,
+      bigHits: 0,
+      rushCount: 0,
+      maxSpinsBetweenHits: 0,
+      history: [],
+    },
+  });
+});
+
+test('subscribers receive structured events for a RUSH hit', () => {
+  const timestamp = new Date('2023-01-01T00:00:00Z');
+  const engine = createEngine({
+    randomProvider: () => 0,
+    timestampProvider: () => timestamp,
+    rushSpins: 1,
+    rushHitRate: 0,
+  });
+  const events = [];
+  Object.values(GAME_EVENTS).forEach((eventName) => {
+    engine.on(eventName, (event) => events.push(event));
+  });
+
+  engine.shoot();
+
+  assert.deepEqual(
+    events.map(({ type }) => type),
+    ['credits-changed', 'shot', 'pocket', 'credits-changed', 'win']
+  );
+  assert.deepEqual(events[1], {
+    type: 'shot',
+    ballCount: 1,
+    ballCost: 1,
+    strength: 50,
+    mode: GAME_MODES.NORMAL,
+    creditsBefore: 20,
+    creditsAfter: 19,
+    timestamp,
+  });
+  assert.equal(events[2].pocketId, 'hit');
+  assert.equal(events[2].status, LANDING_STATUS.SPIN);
+  assert.deepEqual(events[3], {
+    type: 'credits-changed',
+    creditsBefore: 19,
+    creditsAfter: 59,
+    delta: 40,
+    reason: 'payout',
+    timestamp,
+  });
+  assert.equal(events[4].reward, 40);
+  assert.equal(events[4].isRush, true);
+  assert.equal(events[4].nextMode, GAME_MODES.RUSH);
+
+  events.length = 0;
+  engine.shoot();
+  assert.ok(events.some(({ type }) => type === GAME_EVENTS.RUSH_START));
+  const rushEnd = events.find(({ type }) => type === GAME_EVENTS.RUSH_END);
+  assert.equal(rushEnd.spins, 1);
+  assert.equal(rushEnd.startBall, 1);
+  assert.equal(rushEnd.endBall, 2);
+});
+
+test('off and the returned unsubscribe stop event delivery', () => {
+  const engine = createEngine({ randomProvider: () => 0.9 });
+  const shots = [];
+  const resets = [];
+  const handler = (event) => shots.push(event);
+  engine.on(GAME_EVENTS.SHOT, handler);
+  const unsubscribe = engine.on(GAME_EVENTS.RESET, (event) =>
+    resets.push(event)
+  );
+
+  engine.shoot();
+  engine.off(GAME_EVENTS.SHOT, handler);
+  engine.shoot();
+  engine.reset();
+  unsubscribe();
+  engine.reset();
+
+  assert.equal(shots.length, 1);
+  assert.equal(resets.length, 1);
+  assert.equal(resets[0].credits, 20);
+  assert.throws(() => engine.on(GAME_EVENTS.WIN, null), /must be a function/);
+});
+
+function playSeeded(seed, shots) {
+  const engine = new PachinkoEngine({ seed });
+  const results = [];
+  for (let i = 0; i < shots; i += 1) {
+    const result = engine.shoot();
+    if (!result) {
+      break;
+    }
+    results.push([result.pocket.id, result.status, engine.credits]);
+  }
+  return { engine, results };
+}
+
+test('the same seed replays the same session', () => {
+  const first = playSeeded(2024, 200);
+  const second = playSeeded(2024, 200);
+  const other = playSeeded(2025, 200);
+
+  assert.equal(first.engine.seed, 2024);
+  assert.deepEqual(first.results, second.results);
+  assert.equal(first.engine.credits, second.engine.credits);
+  assert.notDeepEqual(first.results, other.results);
+});
+
+test('reset keeps a configured seed and draws a new one otherwise', () => {
+  const seeded = new PachinkoEngine({ seed: 'abc' });
+  const firstDraw = seeded.getRandom();
+  seeded.reset();
+  assert.equal(seeded.getRandom(), firstDraw);
+
+  const unseeded = new PachinkoEngine();
+  assert.equal(typeof unseeded.seed, 'number');
+  assert.equal(unseeded.snapshot().seed, unseeded.seed);
+});
+
+test('presentation draws do not disturb the game random sequence', () => {
+  const plain = new PachinkoEngine({ seed: 7 });
+  const decorated = new PachinkoEngine({ seed: 7 });
+
+  decorated.getPresentationRandom();
+  decorated.getPresentationRandom();
+
+  assert.equal(decorated.getRandom(), plain.getRandom());
+});
+
+test('serialize and restore resume the session and its random sequence', () => {
+  const original = new PachinkoEngine({ seed: 31 });
+  for (let i = 0; i < 40; i += 1) {
+    original.shoot();
+  }
+  original.enterMode(GAME_MODES.JITAN);
+
+  const state = JSON.parse(JSON.stringify(original.serialize()));
+  const restored = new PachinkoEngine({ seed: 1 });
+  restored.restore(state);
+
+  assert.deepEqual(restored.snapshot(), original.snapshot());
+  assert.equal(restored.getRandom(), original.getRandom());
+  assert.equal(
+    restored.getPresentationRandom(),
+    original.getPresentationRandom()
+  );
+});
+
+test('restore rejects malformed state without touching the engine', () => {
+  const engine = createEngine({ randomProvider: () => 0.9 });
+  engine.shoot();
+  const before = engine.snapshot();
+
+  assert.throws(() => engine.restore({ credits: 'many' }), /malformed/);
+  assert.throws(
+    () =>
+      engine.restore({
+        ...engine.serialize(),
+        holdQueue: [{ pocketId: 'gone', outcome: { isWin: false } }],
+      }),
+    /unknown pocket: gone/
+  );
+  assert.deepEqual(engine.snapshot(), before);
+});
+
+test('the data counter tracks spins, hits, RUSH entries, and droughts', () => {
+  const engine = createEngine({
+    dataHistoryLimit: 2,
+    kakuhenRate: 0,
+    jitanSpins: 0,
+    rushSpins: 1,
+    rushHitRate: 0,
+    randomProvider: createSequenceRandomProvider([
+      ...[0, 0.9, 0, 0.9, 0, 0.9],
+      ...[0, 0, 0.9],
+      ...[0, 0.9],
+      ...[0, 0, 0],
+      0,
+      ...[0, 0, 0.9],
+    ]),
+  });
+
+  for (let i = 0; i < 8; i += 1) {
+    engine.shoot();
+  }
+
+  const data = engine.snapshot().dataCounter;
+  assert.equal(data.totalSpins, 8);
+  assert.equal(data.bigHits, 3);
+  assert.equal(data.rushCount, 1);
+  assert.equal(data.spinsSinceHit, 0);
+  assert.equal(data.maxSpinsBetweenHits, 4);
+  assert.equal(data.history.length, 2);
+  assert.deepEqual(data.history[1], {
+    spin: 6,
+    spins: 2,
+    pocketId: 'hit',
+    label: 'ヒット',
+    reward: 40,
+    isRush: true,
+  });
+
+  engine.reset();
+  assert.equal(engine.snapshot().dataCounter.totalSpins, 0);
+});
+
+test('the slump series records credits per landing with hit markers', () => {
+  const engine = createEngine({
+    kakuhenRate: 0,
+    jitanSpins: 0,
+    randomProvider: createSequenceRandomProvider([
+      ...[0.9],
+      ...[0, 0, 0.9],
+      ...[0, 0, 0],
+    ]),
+  });
+
+  engine.shoot();
+  engine.shoot();
+  engine.shoot();
+
+  assert.deepEqual(engine.getSlumpSeries(), [
+    { ball: 0, spin: 0, credits: 20, marker: null },
+    { ball: 1, spin: 0, credits: 19, marker: null },
+    { ball: 2, spin: 0, credits: 18, marker: null },
+    { ball: 2, spin: 1, credits: 28, marker: 'win' },
+    { ball: 3, spin: 1, credits: 27, marker: null },
+    { ball: 3, spin: 2, credits: 67, marker: 'rush' },
+  ]);
+
+  engine.reset();
+  assert.deepEqual(engine.getSlumpSeries(), [
+    { ball: 0, spin: 0, credits: 20, marker: null },
+  ]);
+});
+
+test('prize balls pay on every entry and only start pockets draw the lottery', () => {
+  let draws = 0;
+  const messages = [];
+  const prizes = [];
+  const start = {
+    id: 'start',
+    label: 'ヘソ',
+    reward: 10,
+    prizeBalls: 3,
+    triggersLottery: true,
+  };
+  const general = {
+    id: 'general',
+    label: '一般入賞口',
+    reward: 50,
+    prizeBalls: 5,
+    triggersLottery: false,
+  };
+  const engine = createEngine(
+    {
+      holdLimit: 0,
+      randomProvider: () => {
+        draws += 1;
+        return 0.9;
+      },
+      pockets: [start, general],
+    },
+    { log: (message) => messages.push(message) }
+  );
+  engine.on(GAME_EVENTS.POCKET, ({ prizeBalls }) => prizes.push(prizeBalls));
+
+  const landing = engine.landBall(general);
+  assert.equal(landing.status, LANDING_STATUS.MISS);
+  assert.equal(landing.outcome.isWin, false);
+  assert.equal(draws, 0);
+  assert.equal(engine.credits, 25);
+  assert.equal(messages.at(-1), '一般入賞口に入賞、賞球5個');
+
+  assert.equal(engine.landBall(start).status, LANDING_STATUS.SPIN);
+  assert.equal(draws, 1);
+  assert.equal(engine.landBall(start).status, LANDING_STATUS.OVERFLOW);
+  assert.equal(engine.credits, 31);
+  assert.deepEqual(prizes, [5, 3, 3]);
+  assert.equal(engine.getSlumpSeries().at(-1).credits, 31);
+
+  assert.equal(isLotteryPocket({ reward: 10 }), true);
+  assert.equal(isLotteryPocket({ reward: 0 }), false);
+  assert.equal(isLotteryPocket({ reward: 10, isOut: true }), false);
+  assert.deepEqual(
+    DEFAULT_ENGINE_CONFIG.pockets.filter(isLotteryPocket).map(({ id }) => id),
+    ['jackpot']
+  );
+});
+
+test('big hits open the attacker for rounds paid per ball', () => {
+  const messages = [];
+  const rounds = [];
+  const start = {
+    id: 'start',
+    label: 'ヘソ',
+    rounds: 2,
+    rushRounds: 3,
+    triggersLottery: true,
+  };
+  const engine = createEngine(
+    {
+      kakuhenRate: 0,
+      jitanSpins: 0,
+      attackerBallsPerRound: 2,
+      attackerPayout: 5,
+      randomProvider: createSequenceRandomProvider([0, 0, 0.9]),
+      pockets: [start],
+    },
+    { log: (message) => messages.push(message) }
+  );
+  engine.on(GAME_EVENTS.ROUND_END, ({ type, timestamp, ...round }) =>
+    rounds.push(round)
+  );
+
+  const win = engine.shoot();
+  assert.deepEqual(win.outcome, {
+    isWin: true,
+    isRush: false,
+    reward: 0,
+    rounds: 2,
+  });
+  assert.equal(engine.mode, GAME_MODES.BIG_HIT);
+  assert.equal(engine.credits, 19);
+  assert.ok(messages.includes('大当たり開始 2R'));
+
+  const entry = engine.shoot();
+  assert.equal(entry.pocket.id, 'attacker');
+  assert.equal(entry.status, LANDING_STATUS.ATTACKER);
+  engine.shoot();
+  assert.equal(engine.credits, 27);
+  assert.deepEqual(engine.snapshot().attacker, {
+    rounds: 2,
+    round: 2,
+    roundBalls: 0,
+    roundPayout: 0,
+    payout: 10,
+  });
+
+  const saved = engine.serialize();
+  engine.expireAttackerRound();
+  assert.deepEqual(rounds, [
+    {
+      round: 1,
+      rounds: 2,
+      balls: 2,
+      payout: 10,
+      totalPayout: 10,
+      reason: 'count',
+    },
+    {
+      round: 2,
+      rounds: 2,
+      balls: 0,
+      payout: 0,
+      totalPayout: 10,
+      reason: 'time',
+    },
+  ]);
+  assert.equal(engine.mode, GAME_MODES.NORMAL);
+  assert.equal(engine.attacker, null);
+  assert.equal(engine.dataCounter.history[0].reward, 10);
+  assert.equal(engine.shoot().pocket.id, 'start');
+
+  engine.restore(saved);
+  assert.equal(engine.mode, GAME_MODES.BIG_HIT);
+  assert.equal(engine.attacker.round, 2);
+  assert.equal(engine.shoot().status, LANDING_STATUS.ATTACKER);
+
+  const rush = createEngine({
+    randomProvider: () => 0,
+    pockets: [start],
+  });
+  assert.equal(rush.shoot().outcome.rounds, 3);
+  assert.equal(rush.attacker.rounds, 3);
+});
+
+test('launch strength picks pocket weights and the out zone skips the lottery', () => {
+  let draws = 0;
+  const engine = createEngine({
+    launchStrength: 0,
+    randomProvider: () => {
+      draws += 1;
+      return 0;
+    },
+    pockets: [
+      {
+        id: 'out',
+        label: 'アウト',
+        reward: 0,
+        strengthWeights: { 0: 1, 50: 0 },
+        isOut: true,
+      },
+      { ...POCKETS[0], strengthWeights: { 0: 0, 50: 1 } },
+    ],
+  });
+
+  const out = engine.shoot();
+  assert.equal(out.pocket.id, 'out');
+  assert.equal(out.status, LANDING_STATUS.OUT);
+  assert.equal(out.strength, 0);
+  assert.equal(draws, 1);
+  assert.equal(engine.credits, 19);
+  assert.equal(engine.dataCounter.totalSpins, 0);
+
+  const hit = engine.shoot({ strength: 80 });
+  assert.equal(hit.pocket.id, 'hit');
+  assert.equal(hit.outcome.isWin, true);
+  assert.equal(engine.launchStrength, 80);
+  assert.equal(engine.setLaunchStrength(250), 100);
+  assert.equal(engine.setLaunchStrength('abc'), 100);
+  assert.equal(engine.serialize().launchStrength, 100);
+});
+
+test('the physics trajectory decides the pocket from where the ball lands', () => {
+  const engine = createEngine({
+    trajectory: 'physics',
+    launchStrength: 90,
+    randomProvider: () => 0.5,
+    boardLayout: {
+      width: 100,
+      height: 200,
+      pins: [],
+      openings: [
+        { pocketId: 'miss', x: 0, width: 50 },
+        { pocketId: 'hit', x: 50, width: 50 },
+      ],
+    },
+  });
+
+  const result = engine.shoot();
+  assert.equal(result.pocket.id, 'hit');
+  assert.ok(result.path.points.length > 1);
+  assert.ok(result.path.landingX > 50);
+
+  engine.setLaunchStrength(10);
+  assert.equal(engine.shoot().pocket.id, 'miss');
+});
@@ -0,0 +1,261 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_EVENTS, GAME_MODES, PachinkoEngine } from '../engine.js';
+import {
+  calculateExpectedValue,
+  formatExpectedValueTable,
+} from '../expected-value.js';
+
+const NORMAL_ONLY = {
+  hitRate: 1 / 20,
+  rushRate: 0.25,
+  rushRewardMultiplier: 3,
+  rushSpins: 0,
+  kakuhenRate: 0,
+  jitanSpins: 0,
+  attackerBallsPerRound: 5,
+  attackerPayout: 4,
+};
+
+const POCKETS = [
+  {
+    id: 'start',
+    label: 'ヘソ',
+    prizeBalls: 2,
+    rounds: 2,
+    rushRounds: 4,
+    triggersLottery: true,
+    weight: 2,
+  },
+  { id: 'lump', label: '一発', reward: 20, weight: 1 },
+  { id: 'prize', label: '賞球', prizeBalls: 3, weight: 3 },
+  { id: 'miss', label: 'ハズレ', weight: 4 },
+];
+
+function assertClose(actual, expected, tolerance = 1e-12) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+function describeSamples(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    (values.length - 1);
+  return { mean, standardError: Math.sqrt(variance / values.length) };
+}
+
+// Plays one long seeded session. The game is back in normal mode after every
+// RUSH, so each stretch from there to the next RUSH win is a fresh sample of
+// the spins to the first RUSH. The payout rate is estimated from batch means.
+function playSession(config, { seed, batches, ballsPerBatch, listen }) {
+  const engine = new PachinkoEngine({
+    ...config,
+    initialCredits: 1e9,
+    slumpMaxPoints: 2,
+    seed,
+  });
+  const spinsToRush = [];
+  let fromSpin = 0;
+  let ballsIn = 0;
+  let ballsOut = 0;
+
+  engine.on(GAME_EVENTS.CREDITS_CHANGED, ({ delta, reason }) => {
+    if (reason === 'shot') {
+      ballsIn -= delta;
+    } else if (delta > 0) {
+      ballsOut += delta;
+    }
+  });
+  engine.on(GAME_EVENTS.WIN, ({ isRush, mode }) => {
+    if (isRush && mode !== GAME_MODES.RUSH) {
+      spinsToRush.push(engine.dataCounter.totalSpins - fromSpin);
+      fromSpin = engine.dataCounter.totalSpins;
+    }
+  });
+  engine.on(GAME_EVENTS.RUSH_END, () => {
+    fromSpin = engine.dataCounter.totalSpins;
+  });
+  listen?.(engine);
+
+  const payoutRates = [];
+  for (let batch = 0; batch < batches; batch += 1) {
+    const [startIn, startOut] = [ballsIn, ballsOut];
+    for (let ball = 0; ball < ballsPerBatch; ball += 1) {
+      engine.shoot();
+    }
+    payoutRates.push((ballsOut - startOut) / (ballsIn - startIn));
+  }
+
+  return {
+    engine,
+    payoutRate: {
+      mean: ballsOut / ballsIn,
+      standardError: describeSamples(payoutRates).standardError,
+    },
+    spinsToRush: describeSamples(spinsToRush),
+  };
+}
+
+function assertWithinStandardErrors(estimate, expected, count = 3) {
+  assertClose(estimate.mean, expected, count * estimate.standardError);
+}
+
+test('calculateExpectedValue derives per-ball odds and payouts from the config', () => {
+  const analysis = calculateExpectedValue({ ...NORMAL_ONLY, pockets: POCKETS });
+  const [start, lump, prize, miss] = analysis.pockets;
+
+  [0.2, 0.1, 0.3, 0.4].forEach((probability, index) => {
+    assertClose(analysis.pockets[index].probability, probability);
+  });
+  assert.equal(start.lottery, true);
+  assert.equal(lump.lottery, true);
+  assert.equal(prize.lottery, false);
+  assertClose(analysis.lotteryProbability, 0.3);
+  assertClose(start.hitProbability, 0.01);
+  assertClose(start.rushProbability, 0.0025);
+
+  // normal hit: 2R x 5 balls x 4 = 40; RUSH: 4R x 5 x 4 = 80
+  assertClose(start.expectedReward, 0.01 * (0.75 * 40 + 0.25 * 80));
+  // lump pocket pays reward 20, or 20 x rushRewardMultiplier on RUSH
+  assertClose(lump.expectedReward, 0.005 * (0.75 * 20 + 0.25 * 60));
+  assertClose(analysis.expectedPrize, 0.2 * 2 + 0.3 * 3);
+  assert.equal(miss.expectedPrize + miss.expectedReward, 0);
+
+  // every attacker round is paid for with ballsPerRound extra shots
+  const attackerBalls = 0.01 * (0.75 * 10 + 0.25 * 20);
+  assertClose(analysis.expectedCost, 1 + attackerBalls);
+  assertClose(
+    analysis.normalPayoutRate,
+    analysis.expectedPayout / analysis.expectedCost
+  );
+  // without 確変, 時短 or RUSH spins the game never leaves normal mode
+  assertClose(analysis.payoutRate, analysis.normalPayoutRate);
+  assert.deepEqual(analysis.spinShares, { normal: 1 });
+  assertClose(analysis.expectedSpinsToRush, 80);
+  // 3 normal hits and then the RUSH one, each opening 10 or 20 attacker shots
+  // when it lands in ヘソ (2/3 of the lottery balls)
+  assertClose(analysis.expectedBallsToRush, 80 / 0.3 + 20 + 40 / 3, 1e-9);
+});
+
+test('calculateExpectedValue follows the 確変, 時短 and RUSH chain after a hit', () => {
+  const analysis = calculateExpectedValue({});
+
+  // X, the spins to RUSH after a normal hit, solves
+  // X = 0.5 (20 + 0.75 X) + 0.5 (99 + 0.75 X): 確変 at 1/20, or 時短 whose 30
+  // spins at 1/99 cost as much as normal mode. So X = 238 and 99 + 0.75 X.
+  assertClose(analysis.expectedSpinsToRush, 277.5, 1e-9);
+  assert.deepEqual(Object.keys(analysis.spinShares), [
+    'normal',
+    'kakuhen',
+    'jitan',
+    'rush',
+  ]);
+  assertClose(
+    Object.values(analysis.spinShares).reduce((sum, share) => sum + share, 0),
+    1,
+    1e-9
+  );
+  assert.ok(analysis.payoutRate > analysis.normalPayoutRate);
+
+  const noRush = calculateExpectedValue({ rushRate: 0 });
+  assert.equal(noRush.expectedSpinsToRush, Infinity);
+  assert.equal(noRush.spinShares.rush, undefined);
+
+  // 確変 that can never hit keeps the game there for good
+  const stuck = calculateExpectedValue({ kakuhenRate: 1, kakuhenHitRate: 0 });
+  assert.equal(stuck.expectedSpinsToRush, Infinity);
+  assert.equal(stuck.spinShares, null);
+  assertClose(stuck.payoutRate, stuck.expectedPrize);
+});
+
+test('calculateExpectedValue follows the launch strength and rejects invalid configs', () => {
+  const pockets = [
+    { id: 'hit', reward: 10, weight: 1, strengthWeights: { 0: 0, 100: 1 } },
+    { id: 'miss', weight: 1 },
+  ];
+
+  assert.equal(
+    calculateExpectedValue({ pockets, launchStrength: 100 }).pockets[0]
+      .probability,
+    0.5
+  );
+  assert.equal(
+    calculateExpectedValue({ pockets, launchStrength: 0 }).expectedBallsToRush,
+    Infinity
+  );
+  assert.throws(
+    () => calculateExpectedValue({ hitRate: 2 }),
+    /Invalid expected value config:\n- hitRate must be <= 1/
+  );
+});
+
+test('the expected values match a seeded simulation within tolerance', () => {
+  const config = { ...NORMAL_ONLY, pockets: POCKETS };
+  const analysis = calculateExpectedValue(config);
+  const landings = new Map();
+  let normalBalls = 0;
+  let rushHits = 0;
+  const { engine, payoutRate, spinsToRush } = playSession(config, {
+    seed: 2024,
+    batches: 20,
+    ballsPerBatch: 5000,
+    listen: (engine) => {
+      engine.on(GAME_EVENTS.POCKET, ({ pocketId }) => {
+        if (pocketId !== 'attacker') {
+          normalBalls += 1;
+          landings.set(pocketId, (landings.get(pocketId) ?? 0) + 1);
+        }
+      });
+      engine.on(GAME_EVENTS.WIN, ({ isRush }) => {
+        rushHits += isRush ? 1 : 0;
+      });
+    },
+  });
+
+  analysis.pockets.forEach(({ id, probability }) => {
+    assertClose((landings.get(id) ?? 0) / normalBalls, probability, 0.01);
+  });
+  assertClose(
+    engine.dataCounter.bigHits / normalBalls,
+    analysis.hitProbability,
+    analysis.hitProbability * 0.1
+  );
+  assertClose(
+    rushHits / normalBalls,
+    analysis.rushProbability,
+    analysis.rushProbability * 0.2
+  );
+  assertWithinStandardErrors(payoutRate, analysis.payoutRate);
+  assertWithinStandardErrors(spinsToRush, analysis.expectedSpinsToRush);
+});
+
+test('the default config matches a seeded simulation through every mode', () => {
+  const analysis = calculateExpectedValue({});
+  const { payoutRate, spinsToRush } = playSession(
+    {},
+    { seed: 7, batches: 12, ballsPerBatch: 20000 }
+  );
+
+  assertWithinStandardErrors(payoutRate, analysis.payoutRate);
+  // also rules out the normal-mode-only 1 / (hitRate * rushRate) = 396
+  assertWithinStandardErrors(spinsToRush, analysis.expectedSpinsToRush);
+});
+
+test('formatExpectedValueTable prints one row per pocket and the totals', () => {
+  const table = formatExpectedValueTable(
+    calculateExpectedValue({ ...NORMAL_ONLY, pockets: POCKETS })
+  );
+  const lines = table.split('\n');
+
+  assert.ok(lines[0].startsWith('発射の強さ: 50 / 大当たり確率 1/20.0'));
+  assert.ok(lines[1].includes('入賞率'));
+  assert.ok(lines[2].endsWith('| ヘソ'));
+  assert.ok(lines[4].includes('抽選なし'));
+  assert.ok(table.includes('通常時の出玉率: '));
+  assert.ok(table.includes('回転の内訳: 通常 100.00%'));
+  assert.ok(table.includes('理論出玉率: '));
+  assert.ok(table.includes('初RUSHまでの期待回転数: 80.0回転'));
+});
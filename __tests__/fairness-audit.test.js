@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { auditFairness, formatFairnessAudit } from '../fairness-audit.js';
+import { createSeededRandom } from '../random.js';
+
+const CONFIG = {
+  hitRate: 1 / 10,
+  rushRate: 0.4,
+  pockets: [
+    { id: 'start', label: 'ヘソ', triggersLottery: true, weight: 2 },
+    { id: 'side', label: 'サイド', prizeBalls: 1, weight: 3 },
+    { id: 'miss', label: 'ハズレ', weight: 5 },
+    { id: 'out', label: 'アウト', isOut: true, weight: 0 },
+  ],
+};
+
+test('a seeded audit of a fair configuration passes', () => {
+  const report = auditFairness(CONFIG, { seed: 11, draws: 20000 });
+
+  assert.equal(report.seed, 11);
+  assert.equal(report.pockets.degreesOfFreedom, 2);
+  assert.equal(
+    report.pockets.rows.reduce((sum, { count }) => sum + count, 0),
+    20000
+  );
+  assert.equal(report.pockets.rows[3].count, 0);
+  assert.equal(report.hitRate.trials, report.pockets.rows[0].count);
+  assert.equal(report.rushRate.trials, report.hitRate.successes);
+  assert.equal(report.provider.outOfRange, 0);
+  assert.equal(report.provider.passed, true);
+  assert.equal(report.passed, true);
+  assert.deepEqual(auditFairness(CONFIG, { seed: 11, draws: 20000 }), report);
+});
+
+test('the audit fails when the provider skews the draws', () => {
+  const random = createSeededRandom(4);
+  const report = auditFairness(CONFIG, {
+    draws: 20000,
+    randomProvider: () => random() ** 2,
+  });
+
+  assert.equal(report.seed, null);
+  assert.equal(report.pockets.passed, false);
+  assert.ok(report.pockets.pValue < 1e-6);
+  assert.equal(report.hitRate.passed, false);
+  assert.equal(report.passed, false);
+});
+
+test('any value outside [0, 1) fails the audit', () => {
+  const scaled = createSeededRandom(4);
+  const skewed = auditFairness(CONFIG, {
+    draws: 20000,
+    randomProvider: () => scaled() * 1.5,
+  });
+  assert.ok(skewed.provider.outOfRange > 0);
+  assert.ok(skewed.provider.max >= 1);
+  assert.equal(skewed.pockets.passed, false);
+  assert.equal(skewed.provider.passed, false);
+
+  const shifted = createSeededRandom(2);
+  const normalized = auditFairness(CONFIG, {
+    draws: 20000,
+    randomProvider: () => shifted() + 3,
+  });
+  assert.equal(normalized.provider.outOfRange, normalized.provider.values);
+  assert.equal(normalized.pockets.passed, true);
+  assert.equal(normalized.hitRate.passed, true);
+  assert.equal(normalized.rushRate.passed, true);
+  assert.equal(normalized.provider.passed, false);
+  assert.equal(normalized.passed, false);
+  assert.ok(formatFairnessAudit(normalized).includes('個が [0, 1) の範囲外'));
+});
+
+test('the audit also uses the configured randomProvider and checks its options', () => {
+  const random = createSeededRandom(9);
+  const report = auditFairness(
+    { ...CONFIG, randomProvider: () => random() },
+    { draws: 1000 }
+  );
+  assert.equal(report.seed, null);
+  assert.equal(report.provider.values > 1000, true);
+
+  assert.throws(() => auditFairness(CONFIG, { draws: 0 }), /draws/);
+  assert.throws(
+    () => auditFairness(CONFIG, { significance: 1 }),
+    /significance/
+  );
+});
+
+test('formatFairnessAudit prints each check and the verdict', () => {
+  const text = formatFairnessAudit(
+    auditFairness(CONFIG, { seed: 3, draws: 20000, significance: 0.05 })
+  );
+  const lines = text.split('\n');
+
+  assert.equal(lines[0], '公平性監査 (20000回 / 有意水準 5.0% / シード 3)');
+  assert.ok(lines[1].startsWith('ポケット分布: χ² = '));
+  assert.ok(lines[2].startsWith('  ヘソ: 期待 20.00% / 実測 '));
+  assert.ok(text.includes('大当たり確率: 期待 10.00%'));
+  assert.ok(text.includes('RUSH突入率: 期待 40.00%'));
+  assert.ok(text.includes('95%信頼区間'));
+  assert.ok(text.includes('乱数: '));
+  assert.equal(lines[lines.length - 1], '判定: 合格');
+});
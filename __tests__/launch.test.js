@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clampStrength,
+  getLaunchShifts,
+  getStrengthWeight,
+} from '../launch.js';
+
+test('clampStrength keeps the handle within range', () => {
+  assert.equal(clampStrength(-10), 0);
+  assert.equal(clampStrength('75'), 75);
+  assert.equal(clampStrength(140), 100);
+  assert.equal(clampStrength('', 30), 30);
+  assert.equal(clampStrength(undefined), 50);
+});
+
+test('getStrengthWeight interpolates between strength tables', () => {
+  const pocket = { weight: 3, strengthWeights: { 0: 0, 50: 2, 100: 6 } };
+
+  assert.equal(getStrengthWeight(pocket, 0), 0);
+  assert.equal(getStrengthWeight(pocket, 25), 1);
+  assert.equal(getStrengthWeight(pocket, 75), 4);
+  assert.equal(getStrengthWeight(pocket, 100), 6);
+  assert.equal(getStrengthWeight({ weight: 3 }, 10), 3);
+  assert.equal(getStrengthWeight({}, 10), 1);
+});
+
+test('getLaunchShifts bends the early trajectory with the strength', () => {
+  const pocket = { shift: '-80px', midShift: '-30px', earlyShift: '12px' };
+
+  assert.deepEqual(getLaunchShifts(pocket, 50, 60), {
+    earlyShift: '12px',
+    midShift: '-30px',
+    shift: '-80px',
+  });
+  assert.deepEqual(getLaunchShifts(pocket, 100, 60), {
+    earlyShift: '72px',
+    midShift: '0px',
+    shift: '-80px',
+  });
+  assert.deepEqual(getLaunchShifts({}, 0, 60), {
+    earlyShift: '-60px',
+    midShift: '-30px',
+    shift: '-150px',
+  });
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  MACHINE_SPEC_PRESETS,
+  readMachineSpec,
+  validateMachineSpec,
+} from '../machine-specs.js';
+import { PachinkoEngine } from '../engine.js';
+
+function readPreset(preset) {
+  const file = new URL(`../${preset.path}`, import.meta.url);
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+test('every bundled preset is a valid machine spec', () => {
+  const files = MACHINE_SPEC_PRESETS.filter(({ path }) => path);
+  assert.deepEqual(
+    files.map(({ name }) => name),
+    ['甘デジ', 'ライトミドル', 'ミドル']
+  );
+
+  files.forEach((preset) => {
+    const data = readPreset(preset);
+    assert.deepEqual(validateMachineSpec(data), [], preset.id);
+    const spec = readMachineSpec(data);
+    assert.equal(spec.name, preset.name);
+    const engine = new PachinkoEngine({ ...spec.config, seed: 1 });
+    assert.ok(engine.config.hitRate > 0 && engine.config.hitRate < 0.02);
+  });
+});
+
+test('fractions become rates and sections flatten into the engine config', () => {
+  const { config } = readMachineSpec({
+    name: 'テスト機',
+    odds: { hitRate: '1/319.5', rushRate: 0.5 },
+    modes: { rushSpins: 20 },
+    reels: { spinDuration: 500 },
+  });
+
+  assert.deepEqual(config, {
+    hitRate: 1 / 319.5,
+    rushRate: 0.5,
+    rushSpins: 20,
+    spinDuration: 500,
+  });
+});
+
+test('spec problems carry the path inside the spec file', () => {
+  const spec = {
+    odds: { hitRate: '5/1' },
+    modes: { rushSpin: 10 },
+    attacker: 'big',
+    pockets: [{ id: 'jackpot', weight: -1 }],
+  };
+
+  assert.deepEqual(
+    validateMachineSpec(spec).map(({ message }) => message),
+    [
+      'name must be a non-empty string',
+      'modes.rushSpin is not a known setting',
+      'attacker must be an object',
+      'odds.hitRate must be <= 1',
+      'pockets[0].weight must be >= 0',
+    ]
+  );
+  assert.throws(() => readMachineSpec(spec), /Invalid machine spec:\n- name/);
+});
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createHistogram,
+  describeValues,
+  formatHistogram,
+  formatMonteCarlo,
+  parseStopOn,
+  runMonteCarlo,
+  runTrial,
+  summarizeTrials,
+} from '../monte-carlo.js';
+
+const CONFIG = {
+  initialCredits: 50,
+  hitRate: 1 / 10,
+  rushRate: 0.5,
+  rushHitRate: 1 / 4,
+  pockets: [
+    { id: 'hit', reward: 30, rushReward: 60, weight: 1 },
+    { id: 'miss', reward: 0, weight: 1 },
+  ],
+};
+
+test('parseStopOn accepts rush, win, bust, and spins=N', () => {
+  assert.deepEqual(parseStopOn('rush'), { type: 'rush' });
+  assert.deepEqual(parseStopOn('bust'), { type: 'bust' });
+  assert.deepEqual(parseStopOn('spins=25'), { type: 'spins', spins: 25 });
+  assert.throws(() => parseStopOn('spins=0'), /Unknown stop condition/);
+  assert.throws(() => parseStopOn('forever'), /Unknown stop condition/);
+});
+
+test('runTrial stops on the requested condition', () => {
+  const win = runTrial(CONFIG, { seed: 3, stopOn: parseStopOn('win') });
+  assert.equal(win.end, 'stop');
+  assert.equal(win.bigHits, 1);
+  assert.equal(win.spinsToFirstHit, win.spins);
+
+  const rush = runTrial(CONFIG, { seed: 3, stopOn: parseStopOn('rush') });
+  assert.equal(rush.end, 'stop');
+  assert.equal(rush.rushCount, 1);
+  assert.equal(rush.spinsToRush, rush.spins);
+
+  const spins = runTrial(CONFIG, { seed: 3, stopOn: parseStopOn('spins=5') });
+  assert.equal(spins.spins, 5);
+
+  const bust = runTrial(
+    { ...CONFIG, hitRate: 0 },
+    { seed: 3, stopOn: parseStopOn('bust') }
+  );
+  assert.equal(bust.end, 'bust');
+  assert.equal(bust.ballsIn, 50);
+  assert.equal(bust.ballsOut, 0);
+  assert.equal(bust.credits, 0);
+
+  const limited = runTrial(
+    { ...CONFIG, hitRate: 0 },
+    { seed: 3, stopOn: parseStopOn('bust'), maxBalls: 10 }
+  );
+  assert.equal(limited.end, 'limit');
+  assert.equal(limited.balls, 10);
+});
+
+test('runMonteCarlo is reproducible with a seed', () => {
+  const options = { trials: 20, seed: 1234, stopOn: parseStopOn('rush') };
+  const first = runMonteCarlo(CONFIG, options);
+  const second = runMonteCarlo(CONFIG, options);
+
+  assert.deepEqual(first, second);
+  assert.equal(first.seed, 1234);
+  assert.equal(first.trials.length, 20);
+  assert.notDeepEqual(
+    runMonteCarlo(CONFIG, { ...options, seed: 99 }).summary,
+    first.summary
+  );
+  assert.throws(() => runMonteCarlo(CONFIG, { trials: 0 }), /trials/);
+  assert.throws(
+    () => runMonteCarlo(CONFIG, { trials: 1, histogram: 'luck' }),
+    /Unknown histogram/
+  );
+  [Number('abc'), 0, 2.5].forEach((maxBalls) => {
+    assert.throws(
+      () => runMonteCarlo(CONFIG, { trials: 1, maxBalls }),
+      /maxBalls must be a positive integer/
+    );
+  });
+});
+
+test('describeValues interpolates percentiles', () => {
+  const stats = describeValues([4, 1, 3, 2], [25, 50, 75]);
+
+  assert.equal(stats.mean, 2.5);
+  assert.equal(stats.median, 2.5);
+  assert.deepEqual(stats.percentiles, { p25: 1.75, p50: 2.5, p75: 3.25 });
+  assert.equal(describeValues([]).mean, null);
+});
+
+test('summarizeTrials reports bust probability and payout rate', () => {
+  const summary = summarizeTrials([
+    {
+      spinsToFirstHit: 10,
+      spinsToRush: null,
+      ballsIn: 100,
+      ballsOut: 150,
+      credits: 80,
+      end: 'stop',
+    },
+    {
+      spinsToFirstHit: null,
+      spinsToRush: null,
+      ballsIn: 100,
+      ballsOut: 0,
+      credits: 0,
+      end: 'bust',
+    },
+  ]);
+
+  assert.equal(summary.bustProbability, 0.5);
+  assert.equal(summary.payoutRate, 0.75);
+  assert.equal(summary.spinsToFirstHit.reachedRate, 0.5);
+  assert.equal(summary.spinsToRush.mean, null);
+});
+
+test('createHistogram and formatHistogram draw a text histogram', () => {
+  const histogram = createHistogram([1, 2, 2, 9, 10], { bins: 2 });
+
+  assert.deepEqual(histogram, [
+    { from: 1, to: 5, count: 3 },
+    { from: 6, to: 10, count: 2 },
+  ]);
+  assert.deepEqual(formatHistogram(histogram, { width: 3 }), [
+    ' 1-5 | ### 3',
+    '6-10 | ## 2',
+  ]);
+});
+
+test('formatMonteCarlo prints text, JSON, or per-trial CSV', () => {
+  const report = runMonteCarlo(CONFIG, {
+    trials: 3,
+    seed: 5,
+    stopOn: parseStopOn('win'),
+  });
+
+  const text = formatMonteCarlo(report);
+  assert.ok(text.startsWith('シード: 5 / 試行: 3回 / 初期クレジット: 50'));
+  assert.ok(text.includes('破産確率: '));
+  assert.ok(text.includes('出玉率: '));
+
+  const json = JSON.parse(formatMonteCarlo(report, 'json'));
+  assert.equal(json.seed, 5);
+  assert.equal(json.stopOn, 'win');
+  assert.equal(json.trials, undefined);
+  assert.equal(json.summary.trials, 3);
+
+  const rows = formatMonteCarlo(report, 'csv').split('\n');
+  assert.equal(rows.length, 4);
+  assert.ok(rows[0].startsWith('trial,seed,balls,spins,spins_to_first_hit'));
+  assert.ok(rows[1].startsWith(`1,${report.trials[0].seed},`));
+  assert.throws(() => formatMonteCarlo(report, 'xml'), /Unknown format/);
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { NOTICE_TARGETS, findDisplayNotice, pickNotice } from '../notice.js';
+
+const NOTICE_TYPES = [
+  { id: 'red', label: '赤保留', target: NOTICE_TARGETS.HOLD },
+  { id: 'continuous', label: '連続演出', target: NOTICE_TARGETS.DISPLAY },
+];
+
+const NOTICE_TABLE = {
+  win: { none: 1, red: 2, continuous: 1 },
+  rush: { continuous: 1 },
+  miss: { none: 1 },
+};
+
+const config = { noticeTypes: NOTICE_TYPES, noticeTable: NOTICE_TABLE };
+
+test('pickNotice draws from the row matching the pending outcome', () => {
+  const win = { isWin: true, isRush: false, reward: 10 };
+
+  assert.equal(
+    pickNotice(win, config, () => 0.1),
+    null
+  );
+  assert.equal(pickNotice(win, config, () => 0.5).id, 'red');
+  assert.equal(pickNotice(win, config, () => 0.9).id, 'continuous');
+  assert.equal(
+    pickNotice({ isWin: true, isRush: true, reward: 40 }, config, () => 0).id,
+    'continuous'
+  );
+  assert.equal(
+    pickNotice({ isWin: false, isRush: false, reward: 0 }, config, () => 0.9),
+    null
+  );
+});
+
+test('pickNotice shows nothing without notice types', () => {
+  const win = { isWin: true, isRush: false, reward: 10 };
+  assert.equal(
+    pickNotice(win, { noticeTypes: [] }, () => 0),
+    null
+  );
+});
+
+test('findDisplayNotice returns the first display-level notice', () => {
+  const entries = [
+    null,
+    { notice: NOTICE_TYPES[0] },
+    { notice: NOTICE_TYPES[1] },
+  ];
+
+  assert.equal(findDisplayNotice(entries).id, 'continuous');
+  assert.equal(findDisplayNotice(entries.slice(0, 2)), null);
+});
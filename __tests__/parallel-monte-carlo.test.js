@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mergeAggregates,
+  parseStopOn,
+  runMonteCarlo,
+  runTrialRange,
+} from '../monte-carlo.js';
+import { runParallelMonteCarlo, splitTrials } from '../parallel-monte-carlo.js';
+
+const CONFIG = {
+  initialCredits: 50,
+  hitRate: 1 / 10,
+  rushRate: 0.5,
+  pockets: [
+    { id: 'hit', reward: 30, rushReward: 60, weight: 1 },
+    { id: 'miss', reward: 0, weight: 1 },
+  ],
+};
+
+const OPTIONS = { trials: 30, seed: 77, stopOn: parseStopOn('rush') };
+
+test('splitTrials hands out contiguous ranges covering every trial', () => {
+  assert.deepEqual(splitTrials(10, 3), [
+    { start: 0, end: 4 },
+    { start: 4, end: 7 },
+    { start: 7, end: 10 },
+  ]);
+  assert.deepEqual(splitTrials(2, 8), [
+    { start: 0, end: 1 },
+    { start: 1, end: 2 },
+  ]);
+  assert.throws(() => splitTrials(5, 0), /workers must be a positive integer/);
+  assert.throws(() => splitTrials(5, NaN), /workers/);
+  assert.throws(() => splitTrials(5, 1.5), /workers/);
+});
+
+test('merged aggregates equal the aggregate of the whole range', () => {
+  const whole = runTrialRange(CONFIG, { seed: 77, start: 0, end: 12 });
+  const parts = [
+    runTrialRange(CONFIG, { seed: 77, start: 0, end: 5 }),
+    runTrialRange(CONFIG, { seed: 77, start: 5, end: 12 }),
+  ];
+
+  assert.deepEqual(
+    mergeAggregates(parts.map(({ aggregate }) => aggregate)),
+    whole.aggregate
+  );
+  assert.deepEqual(
+    parts.flatMap(({ trials }) => trials),
+    whole.trials
+  );
+});
+
+test('results are identical for any number of workers', async () => {
+  const expected = runMonteCarlo(CONFIG, OPTIONS);
+
+  for (const workers of [1, 2, 3]) {
+    const report = await runParallelMonteCarlo(CONFIG, {
+      ...OPTIONS,
+      workers,
+      keepTrials: true,
+    });
+    assert.deepEqual(report, expected, `${workers} workers`);
+  }
+});
+
+test('parallel runs report progress up to the trial count', async () => {
+  const progress = [];
+  const report = await runParallelMonteCarlo(CONFIG, {
+    ...OPTIONS,
+    workers: 2,
+    progressInterval: 5,
+    onProgress: (update) => progress.push(update),
+  });
+
+  assert.ok(progress.length >= 6);
+  assert.ok(progress.every(({ total }) => total === 30));
+  assert.deepEqual(progress[progress.length - 1], { completed: 30, total: 30 });
+  assert.ok(
+    progress.every(
+      ({ completed }, index) =>
+        index === 0 || completed >= progress[index - 1].completed
+    )
+  );
+  assert.deepEqual(report.trials, []);
+  assert.equal(report.summary.trials, 30);
+});
+
+test('parallel runs reject bad worker counts and failing workers', async () => {
+  assert.throws(
+    () => runParallelMonteCarlo(CONFIG, { ...OPTIONS, workers: Number('abc') }),
+    /workers must be a positive integer/
+  );
+  await assert.rejects(
+    runParallelMonteCarlo(
+      { ...CONFIG, hitRate: 2 },
+      { ...OPTIONS, workers: 2 }
+    ),
+    /Invalid PachinkoEngine config/
+  );
+});
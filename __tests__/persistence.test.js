@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SAVE_STATUS,
+  SAVE_VERSION,
+  migrateSave,
+  readSave,
+  writeSave,
+} from '../persistence.js';
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+test('migrateSave upgrades older saves one version at a time', () => {
+  const calls = [];
+  const migrations = {
+    [SAVE_VERSION - 2]: (data) => {
+      calls.push(data.version);
+      return { ...data, credits: data.coins };
+    },
+    [SAVE_VERSION - 1]: (data) => {
+      calls.push(data.version);
+      return { ...data, engine: { credits: data.credits } };
+    },
+  };
+
+  const save = migrateSave({ version: SAVE_VERSION - 2, coins: 5 }, migrations);
+
+  assert.deepEqual(calls, [SAVE_VERSION - 2, SAVE_VERSION - 1]);
+  assert.equal(save.version, SAVE_VERSION);
+  assert.deepEqual(save.engine, { credits: 5 });
+});
+
+test('migrateSave rejects unversioned, unknown, and future saves', () => {
+  assert.throws(() => migrateSave({}), /does not declare a version/);
+  assert.throws(
+    () => migrateSave({ version: 0 }),
+    /No migration from save version/
+  );
+  assert.throws(
+    () => migrateSave({ version: SAVE_VERSION + 1 }),
+    /Unsupported save version/
+  );
+});
+
+test('readSave reports empty, valid, and corrupt saves', () => {
+  const storage = createMemoryStorage();
+  assert.equal(readSave(storage, 'save').status, SAVE_STATUS.EMPTY);
+
+  assert.equal(writeSave(storage, 'save', { version: SAVE_VERSION }), true);
+  assert.deepEqual(readSave(storage, 'save'), {
+    status: SAVE_STATUS.OK,
+    data: { version: SAVE_VERSION },
+  });
+
+  storage.setItem('save', '{not json');
+  assert.equal(readSave(storage, 'save').status, SAVE_STATUS.CORRUPT);
+});
+
+test('version 1 saves gain an empty data counter', () => {
+  const save = migrateSave({ version: 1, engine: { credits: 10 } });
+
+  assert.equal(save.version, SAVE_VERSION);
+  assert.equal(save.engine.credits, 10);
+  assert.equal(save.engine.dataCounter.totalSpins, 0);
+  assert.deepEqual(save.engine.dataCounter.history, []);
+});
+
+test('version 2 saves track the in-flight ball as a list', () => {
+  assert.deepEqual(
+    migrateSave({ version: 2, engine: {}, dropPocketId: 'gold' }).dropPocketIds,
+    ['gold']
+  );
+  const idle = migrateSave({ version: 2, engine: {}, dropPocketId: null });
+  assert.deepEqual(idle.dropPocketIds, []);
+  assert.equal('dropPocketId' in idle, false);
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_BOARD_LAYOUT,
+  createPinGrid,
+  findOpening,
+  measurePocketDistribution,
+  resolveLandingPocket,
+  simulateTrajectory,
+} from '../physics.js';
+import { createSeededRandom } from '../random.js';
+
+const LAYOUT = {
+  width: 100,
+  height: 200,
+  pins: [],
+  openings: [
+    { pocketId: 'left', x: 0, width: 40 },
+    { pocketId: 'right', x: 60, width: 40 },
+  ],
+};
+
+test('createPinGrid staggers alternate rows', () => {
+  const pins = createPinGrid({ width: 100, rows: 2, spacing: 40, margin: 10 });
+
+  assert.deepEqual(
+    pins.map(({ x }) => x),
+    [10, 50, 90, 30, 70]
+  );
+  assert.equal(pins[3].y - pins[0].y, 40);
+});
+
+test('a ball without pins falls straight into the opening below it', () => {
+  const left = simulateTrajectory(LAYOUT, { random: () => 0.5, strength: 10 });
+  assert.equal(left.pocketId, 'left');
+  assert.equal(left.bounces, 0);
+  assert.ok(left.duration > 0);
+  assert.deepEqual(left.points[0], { x: left.points[0].x, y: 6, t: 0 });
+  assert.equal(left.points[left.points.length - 1].y, 194);
+
+  const gap = simulateTrajectory(LAYOUT, { random: () => 0.5, strength: 50 });
+  assert.equal(gap.pocketId, null);
+  assert.equal(findOpening(LAYOUT, 75).pocketId, 'right');
+});
+
+test('pins deflect the ball and seeded runs repeat exactly', () => {
+  const layout = { ...LAYOUT, pins: [{ x: 50, y: 100 }] };
+  const first = simulateTrajectory(layout, { random: createSeededRandom(3) });
+  const second = simulateTrajectory(layout, { random: createSeededRandom(3) });
+
+  assert.ok(first.bounces > 0);
+  assert.notEqual(first.landingX, 50);
+  assert.deepEqual(first, second);
+});
+
+test('resolveLandingPocket falls back to the out zone, then the nearest opening', () => {
+  const pockets = [{ id: 'left' }, { id: 'right' }];
+  const landing = { pocketId: null, landingX: 55 };
+
+  assert.equal(resolveLandingPocket(pockets, LAYOUT, landing).id, 'right');
+  assert.equal(
+    resolveLandingPocket(
+      [...pockets, { id: 'out', isOut: true }],
+      LAYOUT,
+      landing
+    ).id,
+    'out'
+  );
+});
+
+test('measurePocketDistribution compares physical and configured shares', () => {
+  const pockets = [
+    { id: 'left', label: 'L', weight: 1 },
+    { id: 'right', label: 'R', weight: 3 },
+    { id: 'out', label: 'アウト', weight: 0, isOut: true },
+  ];
+  const rows = measurePocketDistribution({
+    layout: { ...DEFAULT_BOARD_LAYOUT, ...LAYOUT },
+    pockets,
+    strength: 100,
+    balls: 50,
+    random: createSeededRandom(1),
+  });
+
+  assert.deepEqual(
+    rows.map(({ expected }) => expected),
+    [0.25, 0.75, 0]
+  );
+  assert.equal(
+    rows.reduce((sum, { count }) => sum + count, 0),
+    50
+  );
+  assert.equal(rows[1].share, 1);
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeededRandom, deriveSeed, normalizeSeed } from '../random.js';
+
+test('normalizeSeed accepts numbers, numeric strings, and text', () => {
+  assert.equal(normalizeSeed(42), 42);
+  assert.equal(normalizeSeed(' 42 '), 42);
+  assert.equal(normalizeSeed(2 ** 32 + 5), 5);
+  assert.equal(normalizeSeed('lucky'), normalizeSeed('lucky'));
+  assert.notEqual(normalizeSeed('lucky'), normalizeSeed('unlucky'));
+  assert.equal(normalizeSeed(''), null);
+  assert.equal(normalizeSeed(undefined), null);
+});
+
+test('createSeededRandom yields a repeatable sequence inside [0, 1)', () => {
+  const first = createSeededRandom(123);
+  const second = createSeededRandom('123');
+  const values = Array.from({ length: 1000 }, () => first());
+
+  assert.deepEqual(
+    values.slice(0, 5),
+    Array.from({ length: 5 }, () => second())
+  );
+  assert.ok(values.every((value) => value >= 0 && value < 1));
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.05);
+});
+
+test('deriveSeed separates streams for the same seed', () => {
+  assert.equal(deriveSeed(1, 'presentation'), deriveSeed(1, 'presentation'));
+  assert.notEqual(deriveSeed(1, 'presentation'), deriveSeed(2, 'presentation'));
+  assert.notEqual(deriveSeed(1, 'presentation'), 1);
+});
@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REACH_PHASES,
+  arrangeReelValues,
+  calculateReachReliability,
+  pickReachType,
+  planReelSequence,
+} from '../reach.js';
+
+const STOP_ORDER = [
+  { index: 0, delay: 1000 },
+  { index: 2, delay: 1400 },
+  { index: 1, delay: 1800 },
+];
+
+const REACH_TYPES = [
+  {
+    id: 'normal',
+    label: 'ノーマルリーチ',
+    duration: 1000,
+    slowdown: 400,
+    fakeOutRate: 0,
+    fakeOutDuration: 0,
+  },
+  {
+    id: 'super',
+    label: 'スーパーリーチ',
+    duration: 2000,
+    slowdown: 800,
+    fakeOutRate: 1,
+    fakeOutDuration: 500,
+  },
+];
+
+const REACH_TABLE = {
+  win: { none: 0, normal: 1, super: 3 },
+  rush: { none: 0, normal: 0, super: 1 },
+  miss: { none: 6, normal: 3, super: 1 },
+};
+
+function createSequenceRandomProvider(values) {
+  let index = 0;
+  return () => {
+    const value = values[index] ?? values[values.length - 1] ?? 0;
+    index += 1;
+    return value;
+  };
+}
+
+test('pickReachType draws from the table row matching the outcome', () => {
+  const config = { reachTypes: REACH_TYPES, reachTable: REACH_TABLE };
+  const miss = { isWin: false, isRush: false, reward: 0 };
+  const win = { isWin: true, isRush: false, reward: 10 };
+  const rush = { isWin: true, isRush: true, reward: 40 };
+
+  assert.equal(
+    pickReachType(miss, config, () => 0.5),
+    null
+  );
+  assert.equal(pickReachType(miss, config, () => 0.7).id, 'normal');
+  assert.equal(pickReachType(miss, config, () => 0.95).id, 'super');
+  assert.equal(pickReachType(win, config, () => 0.2).id, 'normal');
+  assert.equal(pickReachType(win, config, () => 0.3).id, 'super');
+  assert.equal(pickReachType(rush, config, () => 0).id, 'super');
+});
+
+test('arrangeReelValues lines up the leading reels only when a reach is shown', () => {
+  const reach = REACH_TYPES[0];
+
+  assert.deepEqual(
+    arrangeReelValues([3, 3, 5], STOP_ORDER, { isWin: false, reach }),
+    [3, 4, 3]
+  );
+  assert.deepEqual(
+    arrangeReelValues([3, 5, 3], STOP_ORDER, { isWin: false, reach: null }),
+    [3, 5, 4]
+  );
+  assert.deepEqual(
+    arrangeReelValues([7, 7, 7], STOP_ORDER, { isWin: true, reach }),
+    [7, 7, 7]
+  );
+});
+
+test('planReelSequence extends the last reel and schedules reach phases', () => {
+  const plan = planReelSequence({
+    values: [5, 5, 5],
+    stopOrder: STOP_ORDER,
+    outcome: { isWin: true, isRush: false, reward: 10 },
+    reach: REACH_TYPES[0],
+  });
+
+  assert.deepEqual(
+    plan.phases.map(({ name, delay }) => [name, delay]),
+    [
+      [REACH_PHASES.START, 1400],
+      [REACH_PHASES.SLOWDOWN, 2400],
+      [REACH_PHASES.SETTLE, 2800],
+    ]
+  );
+  assert.deepEqual(plan.stops.at(-1), { index: 1, delay: 2800, value: 5 });
+});
+
+test('planReelSequence revives a fake-out only for winning outcomes', () => {
+  const random = createSequenceRandomProvider([0]);
+  const winPlan = planReelSequence({
+    values: [9, 9, 9],
+    stopOrder: STOP_ORDER,
+    outcome: { isWin: true, isRush: true, reward: 40 },
+    reach: REACH_TYPES[1],
+    random,
+  });
+
+  assert.equal(winPlan.fakeOut, true);
+  assert.equal(winPlan.stops.at(-1).fakeValue, 1);
+  assert.equal(winPlan.stops.at(-1).value, 9);
+  assert.ok(winPlan.phases.some(({ name }) => name === REACH_PHASES.REVIVE));
+
+  const missPlan = planReelSequence({
+    values: [2, 6, 2],
+    stopOrder: STOP_ORDER,
+    outcome: { isWin: false, isRush: false, reward: 0 },
+    reach: REACH_TYPES[1],
+    random,
+  });
+
+  assert.deepEqual(missPlan.values, [2, 3, 2]);
+  assert.equal(missPlan.stops.at(-1).fakeValue, 3);
+  assert.ok(!missPlan.phases.some(({ name }) => name === REACH_PHASES.REVIVE));
+});
+
+test('calculateReachReliability weighs each reach by the hit rate', () => {
+  const reliability = calculateReachReliability({
+    hitRate: 0.5,
+    rushRate: 0.5,
+    reachTypes: REACH_TYPES,
+    reachTable: REACH_TABLE,
+  });
+
+  assert.ok(reliability.super.win > reliability.normal.win);
+  assert.equal(reliability.normal.rush, 0);
+  assert.ok(Math.abs(reliability.super.win - 0.4375 / 0.4875) < 1e-9);
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  SessionRecorder,
+  createVirtualClock,
+  parseSession,
+  snapshotConfig,
+} from '../recording.js';
+
+test('snapshotConfig keeps data and drops runtime-only keys', () => {
+  const snapshot = snapshotConfig({
+    hitRate: 0.5,
+    seed: 1,
+    randomProvider: () => 0,
+    timestampProvider: () => new Date(),
+    pockets: [{ id: 'hit', reward: 10 }],
+  });
+
+  assert.deepEqual(snapshot, {
+    hitRate: 0.5,
+    pockets: [{ id: 'hit', reward: 10 }],
+  });
+});
+
+test('SessionRecorder records actions relative to the session start', () => {
+  let now = 1000;
+  const recorder = new SessionRecorder({ timestampProvider: () => now });
+  recorder.start({ config: { hitRate: 0.5 }, seed: 7 });
+  now = 1250;
+  recorder.recordAction('shoot');
+  now = 1600;
+  recorder.recordAction('reset', { seed: 7 });
+  recorder.recordRandom(0.5);
+
+  const session = recorder.toJSON();
+  assert.equal(session.format, SESSION_FORMAT);
+  assert.equal(session.version, SESSION_VERSION);
+  assert.equal(session.seed, 7);
+  assert.equal(session.randomStream, undefined);
+  assert.deepEqual(session.actions, [
+    { type: 'shoot', at: 250 },
+    { type: 'reset', at: 600, seed: 7 },
+  ]);
+  assert.deepEqual(
+    parseSession(JSON.stringify(session)).actions,
+    session.actions
+  );
+});
+
+test('parseSession rejects documents it cannot replay', () => {
+  const valid = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    seed: 1,
+    actions: [],
+  };
+
+  assert.throws(() => parseSession('{}'), /not a pachinko session/);
+  assert.throws(
+    () => parseSession({ ...valid, version: 99 }),
+    /Unsupported session version/
+  );
+  assert.throws(
+    () => parseSession({ ...valid, actions: [{ type: 'dance', at: 0 }] }),
+    /Unknown session action/
+  );
+  assert.throws(
+    () => parseSession({ ...valid, seed: null }),
+    /neither a seed nor a random stream/
+  );
+});
+
+test('createVirtualClock runs timers in time order as it advances', () => {
+  const clock = createVirtualClock();
+  const calls = [];
+  clock.setTimeout(() => calls.push('b'), 20);
+  clock.setTimeout(() => {
+    calls.push('a');
+    clock.setTimeout(() => calls.push('c'), 15);
+  }, 10);
+  const cancelled = clock.setTimeout(() => calls.push('x'), 5);
+  clock.clearTimeout(cancelled);
+
+  clock.advanceTo(20);
+  assert.deepEqual(calls, ['a', 'b']);
+  assert.equal(clock.now, 20);
+
+  clock.flush();
+  assert.deepEqual(calls, ['a', 'b', 'c']);
+});
@@ -1,6 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { mountPachinko, formatNumber } from '../script.js';
+import { readFileSync } from 'node:fs';
+import {
+  mountMachineSelector,
+  mountPachinko,
+  formatNumber,
+  GAME_MODES,
+} from '../script.js';
+import { readMachineSpec } from '../machine-specs.js';
 
 class MockClassList {
   constructor(element) {
@@ -121,6 +128,12 @@ class MockButton extends MockElement {
     this.listeners.set(event, handler);
   }
 
+  removeEventListener(event, handler) {
+    if (this.listeners.get(event) === handler) {
+      this.listeners.delete(event);
+    }
+  }
+
   click() {
     const handler = this.listeners.get('click');
     if (handler) {
@@ -271,6 +284,52 @@ test('handleShoot consumes credit, increments count, and grants reward when hit
   assert.equal(elements.lastResultDisplay.textContent, 'ヒット / 当たり +10');
 });
 
+test('pockets show their prize balls and lottery payouts separately', () => {
+  const { doc, elements } = createTestDocument();
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider: () => 0,
+      pockets: [
+        {
+          id: 'start',
+          label: 'ヘソ',
+          reward: 10,
+          rushReward: 40,
+          prizeBalls: 3,
+          triggersLottery: true,
+          weight: 0,
+        },
+        {
+          id: 'general',
+          label: '一般入賞口',
+          reward: 0,
+          prizeBalls: 5,
+          triggersLottery: false,
+          weight: 1,
+        },
+        { id: 'miss', label: 'ハズレ', reward: 0, weight: 0 },
+      ],
+    })
+  );
+
+  assert.deepEqual(
+    elements.pocketRow.children.map(({ children }) =>
+      children.slice(1).map(({ textContent }) => textContent)
+    ),
+    [
+      ['ハズレ'],
+      ['賞球 +3', '抽選 当たり +10', 'RUSH +40'],
+      ['賞球 +5', '抽選なし'],
+    ]
+  );
+
+  game.handleShoot();
+  assert.equal(elements.creditDisplay.textContent, '024');
+  assert.equal(elements.lastResultDisplay.textContent, '一般入賞口 / 賞球 +5');
+  assert.equal(game.dataCounter.totalSpins, 0);
+});
+
 test('handleShoot blocks when credits are insufficient', () => {
   const { doc, elements } = createTestDocument({ initialCredits: 0 });
   const game = mountPachinko(
@@ -352,3 +411,1223 @@ test('handleShoot records rush wins in the log and last result', () => {
   assert.equal(elements.lastResultDisplay.textContent, 'ヒット / RUSH +40');
   assert.equal(game.lastOutcome?.isRush, true);
 });
+
+test('RUSH persists for the configured spins and uses the RUSH hit rate', () => {
+  const { doc, elements } = createTestDocument();
+  const modeDisplay = new MockElement('mode-display', doc);
+  doc.registerElement('mode-display', modeDisplay);
+  const randomProvider = createSequenceRandomProvider([
+    0, 0.1, 0.1,
+    0, 0.9,
+    0, 0.9,
+  ]);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider,
+      hitRate: 0.5,
+      rushRate: 0.5,
+      rushSpins: 2,
+      rushHitRate: 0.2,
+    })
+  );
+
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.BIG_HIT);
+  assert.equal(modeDisplay.textContent, '大当たり');
+
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.RUSH);
+  assert.equal(game.spinsRemaining, 1);
+  assert.equal(modeDisplay.textContent, 'RUSH 残り01回');
+
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.NORMAL);
+  assert.deepEqual(
+    { spins: game.lastRushSummary.spins, hits: game.lastRushSummary.hits },
+    { spins: 2, hits: 0 }
+  );
+  assert.ok(latestLogText(elements.eventLog).includes('RUSH終了'));
+});
+
+test('RUSH hits roll the continuation rate and accumulate the RUSH payout', () => {
+  const { doc } = createTestDocument();
+  const randomProvider = createSequenceRandomProvider([
+    0, 0.1, 0.1,
+    0, 0.1, 0.1,
+    0, 0.1, 0.9,
+  ]);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider,
+      rushRate: 0.5,
+      rushSpins: 5,
+      rushHitRate: 0.5,
+      rushContinuationRate: 0.5,
+    })
+  );
+
+  game.handleShoot();
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.BIG_HIT);
+  assert.equal(game.nextMode, GAME_MODES.RUSH);
+
+  game.handleShoot();
+  assert.equal(game.spinsRemaining, 4);
+  assert.equal(game.nextMode, GAME_MODES.NORMAL);
+
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.NORMAL);
+  assert.equal(game.lastRushSummary.hits, 2);
+  assert.equal(game.lastRushSummary.payout, 80);
+});
+
+test('handleReset leaves RUSH and returns to normal mode', () => {
+  const { doc } = createTestDocument();
+  const randomProvider = createSequenceRandomProvider([0, 0.1, 0.1, 0.5]);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ randomProvider, rushRate: 0.5 })
+  );
+
+  game.handleShoot();
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.RUSH);
+
+  game.handleReset();
+  assert.equal(game.mode, GAME_MODES.NORMAL);
+  assert.equal(game.spinsRemaining, 0);
+  assert.equal(game.currentRush, null);
+});
+
+test('確変 applies its boosted hit rate until the next big hit', () => {
+  const { doc } = createTestDocument();
+  const randomProvider = createSequenceRandomProvider([
+    0, 0, 0.9, 0.1,
+    0, 0.3, 0.9, 0.9,
+  ]);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider,
+      hitRate: 0.2,
+      kakuhenRate: 0.5,
+      kakuhenHitRate: 0.4,
+      jitanSpins: 0,
+    })
+  );
+
+  game.handleShoot();
+  assert.equal(game.nextMode, GAME_MODES.KAKUHEN);
+
+  game.handleShoot();
+  assert.equal(game.lastOutcome.isWin, true);
+  assert.equal(game.mode, GAME_MODES.BIG_HIT);
+  assert.equal(game.nextMode, GAME_MODES.NORMAL);
+});
+
+test('時短 counts down its spins with the reduced ball cost', () => {
+  const { doc, elements } = createTestDocument();
+  const modeDisplay = new MockElement('mode-display', doc);
+  doc.registerElement('mode-display', modeDisplay);
+  const randomProvider = createSequenceRandomProvider([0, 0, 0.9, 0, 0.9]);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider,
+      kakuhenRate: 0,
+      jitanSpins: 2,
+      jitanBallCost: 0,
+    })
+  );
+
+  game.handleShoot();
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.JITAN);
+  assert.equal(game.credits, 29);
+  assert.equal(modeDisplay.textContent, '時短 残り01回');
+
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.NORMAL);
+  assert.equal(game.credits, 29);
+  assert.ok(latestLogText(elements.eventLog).includes('時短終了'));
+
+  game.handleShoot();
+  assert.equal(game.credits, 28);
+});
+
+test('pickPocket boosts lottery pockets while 時短 is active', () => {
+  const { doc } = createTestDocument();
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider: () => 0.5,
+      jitanStartBoost: 3,
+      pockets: [
+        { ...SIMPLE_POCKETS[0], weight: 1 },
+        { ...SIMPLE_POCKETS[1], weight: 1 },
+      ],
+    })
+  );
+
+  assert.equal(game.pickPocket().id, 'miss');
+  game.enterMode(GAME_MODES.JITAN);
+  assert.equal(game.pickPocket().id, 'hit');
+});
+
+function registerReels(doc) {
+  ['slot-reel-left', 'slot-reel-center', 'slot-reel-right'].forEach((id) => {
+    doc.registerElement(id, new MockElement(id, doc));
+  });
+}
+
+const NO_REACH_TABLE = {
+  win: { none: 1 },
+  rush: { none: 1 },
+  miss: { none: 1 },
+};
+
+async function waitFor(predicate, timeout = 1000) {
+  const startedAt = Date.now();
+  while (!predicate()) {
+    if (Date.now() - startedAt > timeout) {
+      throw new Error('Timed out waiting for the condition.');
+    }
+    await new Promise((resolve) => {
+      setTimeout(resolve, 5);
+    });
+  }
+}
+
+test('balls entering the start pocket during a spin are held and digested in order', async () => {
+  const { doc, elements } = createTestDocument();
+  registerReels(doc);
+  const holdDisplay = new MockElement('hold-indicators', doc);
+  doc.registerElement('hold-indicators', holdDisplay);
+  const randomProvider = createSequenceRandomProvider([
+    0, 0.9,
+    0.5, 0.1, 0.5, 0.8,
+    0, 0.9, 0.3,
+    0, 0, 0.9, 0.3,
+  ]);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ randomProvider, reachTable: NO_REACH_TABLE })
+  );
+  game.reelStopOrder = [
+    { index: 0, delay: 1 },
+    { index: 2, delay: 2 },
+    { index: 1, delay: 3 },
+  ];
+
+  game.handleShoot();
+  game.handleShoot();
+  game.handleShoot();
+
+  assert.equal(game.isSpinning, true);
+  assert.equal(game.getHoldQueue().length, 2);
+  assert.equal(game.getHoldQueue()[1].outcome.isWin, true);
+  assert.equal(holdDisplay.children.length, 4);
+  assert.equal(
+    holdDisplay.children.filter((child) => child.classList.contains('is-filled'))
+      .length,
+    2
+  );
+  assert.equal(elements.creditDisplay.textContent, '017');
+
+  await waitFor(() => !game.isSpinning && game.getHoldQueue().length === 0);
+
+  assert.equal(game.getHoldQueue().length, 0);
+  assert.equal(game.isSpinning, false);
+  assert.equal(game.lastOutcome.isWin, true);
+  assert.equal(elements.creditDisplay.textContent, '027');
+});
+
+test('the hold queue is capped at holdLimit and cleared by handleReset', () => {
+  const { doc, elements } = createTestDocument();
+  registerReels(doc);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider: () => 0.9,
+      holdLimit: 2,
+      reachTable: NO_REACH_TABLE,
+    })
+  );
+
+  for (let i = 0; i < 4; i += 1) {
+    game.handleShoot();
+  }
+
+  assert.equal(game.getHoldQueue().length, 2);
+  assert.ok(latestLogText(elements.eventLog).includes('保留満タン'));
+
+  game.handleReset();
+  assert.equal(game.getHoldQueue().length, 0);
+  assert.equal(game.isSpinning, false);
+});
+
+function mountNoticeGame(randomValue) {
+  const { doc, elements } = createTestDocument();
+  registerReels(doc);
+  const holdDisplay = new MockElement('hold-indicators', doc);
+  const slotDisplay = new MockElement('slot-display', doc);
+  doc.registerElement('hold-indicators', holdDisplay);
+  doc.registerElement('slot-display', slotDisplay);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider: () => randomValue,
+      hitRate: 1,
+      reachTable: NO_REACH_TABLE,
+      noticeTypes: [
+        { id: 'red', label: '赤保留', target: 'hold' },
+        { id: 'continuous', label: '連続演出', target: 'display' },
+      ],
+      noticeTable: {
+        win: { red: 1, continuous: 1 },
+        rush: { none: 1 },
+        miss: { none: 1 },
+      },
+    })
+  );
+
+  return { game, elements, holdDisplay, slotDisplay };
+}
+
+test('held wins change the colour of their hold indicator', () => {
+  const { game, holdDisplay } = mountNoticeGame(0.3);
+
+  game.handleShoot();
+  game.handleShoot();
+
+  assert.equal(game.getHoldQueue()[0].notice.id, 'red');
+  assert.ok(holdDisplay.children[0].classList.contains('hold-indicator--red'));
+  assert.equal(
+    holdDisplay.children[1].classList.contains('hold-indicator--red'),
+    false
+  );
+});
+
+test('continuous notices mark the slot display until the hold is digested', () => {
+  const { game, elements, slotDisplay } = mountNoticeGame(0.7);
+
+  game.handleShoot();
+  game.handleShoot();
+
+  assert.equal(game.getHoldQueue()[0].notice.id, 'continuous');
+  assert.ok(slotDisplay.classList.contains('slot-display--notice-continuous'));
+  assert.ok(latestLogText(elements.eventLog).includes('連続演出'));
+
+  game.handleReset();
+  assert.equal(slotDisplay.classList.contains('slot-display--notice'), false);
+});
+
+test('game.on reports reels-stopped before the win it reveals', async () => {
+  const { doc } = createTestDocument();
+  registerReels(doc);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ randomProvider: () => 0, reachTable: NO_REACH_TABLE })
+  );
+  game.reelStopOrder = [
+    { index: 0, delay: 1 },
+    { index: 2, delay: 2 },
+    { index: 1, delay: 3 },
+  ];
+  const events = [];
+  game.on('reels-stopped', (event) => events.push(event));
+  game.on('win', (event) => events.push(event));
+
+  game.handleShoot();
+  await waitFor(() => events.length === 2);
+
+  assert.deepEqual(
+    events.map(({ type }) => type),
+    ['reels-stopped', 'win']
+  );
+  assert.equal(events[0].pocketId, 'hit');
+  assert.deepEqual(events[0].values, [9, 9, 9]);
+  assert.equal(events[0].isWin, true);
+  assert.equal(events[1].creditsAfter, 59);
+  assert.deepEqual(events[1].timestamp, TEST_TIMESTAMP());
+});
+
+test('mountPachinko seeds the game from the ?seed= URL parameter', () => {
+  const { doc, elements } = createTestDocument();
+  const seedDisplay = new MockElement('seed-display', doc);
+  doc.registerElement('seed-display', seedDisplay);
+  doc.location = { search: '?seed=4242' };
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ randomProvider: null })
+  );
+
+  assert.equal(game.seed, 4242);
+  assert.equal(seedDisplay.textContent, '4242');
+  assert.ok(latestLogText(elements.eventLog).includes('シード: 4242'));
+
+  game.handleShoot();
+  game.handleReset();
+  assert.equal(game.seed, 4242);
+  assert.ok(latestLogText(elements.eventLog).includes('シード: 4242'));
+});
+
+function mountSeededReelGame(seed) {
+  const { doc, elements } = createTestDocument();
+  registerReels(doc);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      seed,
+      randomProvider: null,
+      hitRate: 0.3,
+      initialCredits: 30,
+      reachTable: NO_REACH_TABLE,
+    })
+  );
+  game.reelStopOrder = [
+    { index: 0, delay: 1 },
+    { index: 2, delay: 2 },
+    { index: 1, delay: 3 },
+  ];
+  return { game, elements };
+}
+
+test('a recorded session replays instantly into the same final state', async () => {
+  const original = mountSeededReelGame(99);
+  const statuses = [];
+  original.game.on('pocket', ({ status }) => statuses.push(status));
+  for (let i = 0; i < 12; i += 1) {
+    original.game.handleShoot();
+  }
+  original.game.handleReset();
+  for (let i = 0; i < 8; i += 1) {
+    original.game.handleShoot();
+  }
+  await waitFor(() => !original.game.isSpinning);
+
+  assert.ok(statuses.includes('hold'));
+
+  const session = JSON.parse(JSON.stringify(original.game.exportSession()));
+  assert.equal(session.seed, 99);
+  assert.equal(session.actions.length, 21);
+  assert.equal(session.config.hitRate, 0.3);
+
+  const replayed = mountSeededReelGame(1);
+  replayed.game.reelStopOrder = original.game.reelStopOrder;
+  await replayed.game.replay(session);
+
+  assert.equal(replayed.game.seed, 99);
+  assert.equal(replayed.game.credits, original.game.credits);
+  assert.equal(replayed.game.ballCount, original.game.ballCount);
+  assert.deepEqual(replayed.game.lastOutcome, original.game.lastOutcome);
+  assert.deepEqual(replayed.game.exportSession().actions, session.actions);
+  assert.ok(
+    latestLogText(replayed.elements.eventLog).includes('記録の再生が完了しました。')
+  );
+});
+
+test('sessions driven by a custom randomProvider replay their random stream', async () => {
+  const { doc } = createTestDocument();
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      randomProvider: createSequenceRandomProvider([0, 0.9, 0, 0, 0.9]),
+    })
+  );
+  game.handleShoot();
+  game.handleShoot();
+
+  const session = game.exportSession();
+  assert.equal(session.seed, null);
+  assert.deepEqual(session.randomStream, [0, 0.9, 0, 0, 0.9, 0.9]);
+
+  const other = createTestDocument();
+  const replayed = mountPachinko(
+    other.doc,
+    createTestConfig({ randomProvider: () => 0.99 })
+  );
+  await replayed.replay(JSON.stringify(session), { speed: 'real' });
+
+  assert.equal(replayed.credits, game.credits);
+  assert.equal(replayed.ballCount, 2);
+});
+
+function createMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+test('persistState restores credits, mode, and the log on the next mount', () => {
+  const storage = createMemoryStorage();
+  const first = createTestDocument();
+  const game = mountPachinko(
+    first.doc,
+    createTestConfig({
+      persistState: true,
+      storage,
+      randomProvider: null,
+      seed: 5,
+    })
+  );
+  game.handleShoot();
+  game.handleShoot();
+  game.enterMode(GAME_MODES.KAKUHEN);
+  const logTexts = first.elements.eventLog.children.map(
+    (item) => item.textContent
+  );
+  game.destroy();
+
+  const second = createTestDocument();
+  const restored = mountPachinko(
+    second.doc,
+    createTestConfig({
+      persistState: true,
+      storage,
+      randomProvider: null,
+      seed: 5,
+    })
+  );
+
+  assert.equal(restored.credits, game.credits);
+  assert.equal(restored.ballCount, 2);
+  assert.equal(restored.mode, GAME_MODES.KAKUHEN);
+  assert.deepEqual(restored.lastOutcome, game.lastOutcome);
+  assert.equal(
+    second.elements.creditDisplay.textContent,
+    formatNumber(game.credits)
+  );
+  assert.equal(
+    second.elements.lastResultDisplay.textContent,
+    first.elements.lastResultDisplay.textContent
+  );
+  assert.ok(
+    latestLogText(second.elements.eventLog).includes('前回の状態を復元しました。')
+  );
+  assert.deepEqual(
+    second.elements.eventLog.children.slice(1).map((item) => item.textContent),
+    logTexts.slice(0, second.elements.eventLog.children.length - 1)
+  );
+});
+
+test('corrupt saves fall back to a fresh game with a log message', () => {
+  const storage = createMemoryStorage({
+    'pachinko-sample:save': JSON.stringify({ version: 1, engine: null }),
+  });
+  const { doc, elements } = createTestDocument();
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ persistState: true, storage })
+  );
+
+  assert.equal(game.credits, 20);
+  assert.equal(game.ballCount, 0);
+  assert.ok(
+    latestLogText(elements.eventLog).includes('保存データを読み込めないため')
+  );
+  assert.equal(
+    JSON.parse(storage.getItem('pachinko-sample:save')).engine.credits,
+    20
+  );
+});
+
+test('persistState coalesces saves until the delay passes or the page hides', async () => {
+  let writes = 0;
+  const storage = createMemoryStorage();
+  const setItem = storage.setItem.bind(storage);
+  storage.setItem = (key, value) => {
+    writes += 1;
+    setItem(key, value);
+  };
+  const { doc } = createTestDocument();
+  const listeners = new Map();
+  doc.defaultView = {
+    addEventListener: (type, handler) => listeners.set(type, handler),
+    removeEventListener: (type) => listeners.delete(type),
+  };
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      persistState: true,
+      storage,
+      saveDelay: 20,
+      pockets: [{ id: 'miss', label: 'ハズレ', weight: 1 }],
+    })
+  );
+  assert.equal(writes, 1);
+
+  game.handleShoot();
+  game.handleShoot();
+  game.setLaunchStrength(30);
+  assert.equal(writes, 1);
+  listeners.get('pagehide')();
+  assert.equal(writes, 2);
+  assert.equal(
+    JSON.parse(storage.getItem('pachinko-sample:save')).engine.ballCount,
+    2
+  );
+
+  game.handleShoot();
+  await waitFor(() => writes === 3);
+  assert.equal(
+    JSON.parse(storage.getItem('pachinko-sample:save')).engine.ballCount,
+    3
+  );
+  game.destroy();
+  assert.equal(listeners.has('pagehide'), false);
+});
+
+test('destroy saves the balls still in flight before cancelling them', () => {
+  const storage = createMemoryStorage();
+  const config = createTestConfig({
+    persistState: true,
+    storage,
+    animationDuration: 10000,
+    pockets: [{ id: 'miss', label: 'ハズレ', weight: 1 }],
+  });
+  const game = mountPachinko(createTestDocument().doc, config);
+  game.handleShoot();
+  game.handleShoot();
+  game.destroy();
+
+  const saved = JSON.parse(storage.getItem('pachinko-sample:save'));
+  assert.equal(saved.engine.credits, 18);
+  assert.deepEqual(saved.dropPocketIds, ['miss', 'miss']);
+
+  const restored = mountPachinko(createTestDocument().doc, config);
+  assert.equal(restored.activeDrops.size, 2);
+  restored.destroy();
+});
+
+test('the data counter starts over on a new day and replays the same way', async () => {
+  const storage = createMemoryStorage();
+  let now = new Date(2026, 9, 19, 23, 50);
+  const config = createTestConfig({
+    persistState: true,
+    storage,
+    timestampProvider: () => now,
+    randomProvider: null,
+    seed: 3,
+    hitRate: 0,
+    pockets: [
+      { id: 'start', label: 'ヘソ', triggersLottery: true, weight: 1 },
+    ],
+  });
+  const first = createTestDocument();
+  const game = mountPachinko(first.doc, config);
+  game.handleShoot();
+  game.handleShoot();
+  await waitFor(() => game.dataCounter.totalSpins === 2);
+  game.destroy();
+
+  now = new Date(2026, 9, 20, 0, 10);
+  const second = createTestDocument();
+  const restored = mountPachinko(second.doc, config);
+  assert.equal(restored.credits, 18);
+  assert.equal(restored.dataCounter.totalSpins, 0);
+  assert.ok(
+    latestLogText(second.elements.eventLog).includes(
+      '日付が変わったため、データカウンターをリセットしました。'
+    )
+  );
+
+  restored.handleShoot();
+  await waitFor(() => restored.dataCounter.totalSpins === 1);
+  now = new Date(2026, 9, 21, 9, 0);
+  restored.handleShoot();
+  await waitFor(() => restored.ballCount === 4 && !restored.isSpinning);
+  assert.equal(restored.dataCounter.totalSpins, 1);
+
+  const session = restored.exportSession();
+  assert.deepEqual(
+    session.actions.map(({ type }) => type),
+    ['new-day', 'shoot', 'new-day', 'shoot']
+  );
+  now = new Date(2026, 9, 25, 12, 0);
+  const replayed = mountPachinko(
+    createTestDocument().doc,
+    createTestConfig({ timestampProvider: () => now })
+  );
+  await replayed.replay(session);
+  assert.equal(replayed.credits, 16);
+  assert.equal(replayed.dataCounter.totalSpins, 1);
+  assert.deepEqual(
+    replayed.exportSession().actions.map(({ type }) => type),
+    ['new-day', 'shoot', 'new-day', 'shoot']
+  );
+});
+
+test('the data counter panel keeps hit history beyond log trimming', () => {
+  const { doc, elements } = createTestDocument();
+  const ids = [
+    'data-total-spins',
+    'data-current-spins',
+    'data-big-hits',
+    'data-rush-count',
+    'data-max-spins',
+    'data-history',
+  ];
+  ids.forEach((id) => doc.registerElement(id, new MockElement(id, doc)));
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      maxLogItems: 2,
+      kakuhenRate: 0,
+      jitanSpins: 0,
+      randomProvider: createSequenceRandomProvider([
+        ...[0, 0.9, 0, 0.9],
+        ...[0, 0, 0.9],
+        ...[0, 0, 0.9],
+      ]),
+    })
+  );
+
+  for (let i = 0; i < 4; i += 1) {
+    game.handleShoot();
+  }
+
+  const history = doc.getElementById('data-history');
+  assert.equal(elements.eventLog.children.length, 2);
+  assert.equal(doc.getElementById('data-total-spins').textContent, '4');
+  assert.equal(doc.getElementById('data-current-spins').textContent, '0');
+  assert.equal(doc.getElementById('data-big-hits').textContent, '2');
+  assert.equal(doc.getElementById('data-max-spins').textContent, '3');
+  assert.equal(history.children.length, 2);
+  assert.deepEqual(
+    history.children[0].children.map((cell) => cell.textContent),
+    ['#2', '1回転', 'ヒット', '+10', '通常']
+  );
+
+  game.handleReset();
+  assert.equal(doc.getElementById('data-total-spins').textContent, '0');
+  assert.equal(history.children.length, 0);
+});
+
+class MockMarkupElement extends MockElement {
+  get innerHTML() {
+    return this.markup ?? '';
+  }
+
+  set innerHTML(value) {
+    this.markup = value;
+  }
+}
+
+test('the slump graph renders the credit series and zooms to recent spins', () => {
+  const { doc } = createTestDocument();
+  const slumpGraph = new MockMarkupElement('slump-graph', doc);
+  const slumpRange = new MockElement('slump-range', doc);
+  slumpRange.value = 'all';
+  doc.registerElement('slump-graph', slumpGraph);
+  doc.registerElement('slump-range', slumpRange);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ randomProvider: () => 0.9 })
+  );
+
+  for (let i = 0; i < 5; i += 1) {
+    game.handleShoot();
+  }
+
+  assert.equal(game.getSlumpSeries().length, 6);
+  const fullPath = slumpGraph.innerHTML.match(/d="([^"]+)"/)[1];
+  assert.equal(fullPath.split('L').length, 6);
+
+  slumpRange.value = '2';
+  game.renderSlump();
+  const zoomedPath = slumpGraph.innerHTML.match(/d="([^"]+)"/)[1];
+  assert.equal(zoomedPath.split('L').length, 3);
+  assert.equal(game.handleSlumpExport().split('\n').pop(), '5,4,15,');
+});
+
+test('auto-fire stops after the ball limit', async () => {
+  const { doc } = createTestDocument();
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      animationDuration: 5,
+      randomProvider: () => 0.9,
+      autoFireRate: 60000,
+      autoFireStopAfterBalls: 3,
+    })
+  );
+  const logs = [];
+  const originalAddLog = game.addLog.bind(game);
+  game.addLog = (message) => {
+    logs.push(message);
+    originalAddLog(message);
+  };
+
+  assert.equal(game.startAutoFire(), true);
+  await waitFor(() => !game.autoFire);
+
+  assert.equal(game.ballCount, 3);
+  assert.ok(!logs.some((message) => message.includes('落下中')));
+  assert.ok(logs.includes('オート発射を停止しました (発射数上限)。'));
+});
+
+test('the auto-fire limit inputs set the credit and ball limits', async () => {
+  const mount = ({ credits, balls }) => {
+    const { doc, elements } = createTestDocument();
+    const button = new MockButton('auto-fire-button', doc);
+    const creditsInput = new MockElement('auto-fire-stop-credits', doc);
+    const ballsInput = new MockElement('auto-fire-stop-balls', doc);
+    creditsInput.value = credits;
+    ballsInput.value = balls;
+    doc.registerElement('auto-fire-button', button);
+    doc.registerElement('auto-fire-stop-credits', creditsInput);
+    doc.registerElement('auto-fire-stop-balls', ballsInput);
+    const game = mountPachinko(
+      doc,
+      createTestConfig({
+        randomProvider: () => 0.9,
+        autoFireRate: 60000,
+        autoFireStopAfterBalls: 5,
+      })
+    );
+    button.click();
+    return { game, elements };
+  };
+
+  const low = mount({ credits: '18', balls: '' });
+  await waitFor(() => !low.game.autoFire);
+  assert.equal(low.game.ballCount, 3);
+  assert.ok(latestLogText(low.elements.eventLog).includes('クレジット下限'));
+
+  const limited = mount({ credits: ' ', balls: '2' });
+  await waitFor(() => !limited.game.autoFire);
+  assert.equal(limited.game.ballCount, 2);
+  assert.ok(latestLogText(limited.elements.eventLog).includes('発射数上限'));
+});
+
+test('auto-fire stops on a RUSH entry, on empty credits, and on reset', async () => {
+  const rush = createTestDocument();
+  const rushGame = mountPachinko(
+    rush.doc,
+    createTestConfig({
+      randomProvider: createSequenceRandomProvider([0, 0.9, 0, 0, 0]),
+      autoFireRate: 60000,
+    })
+  );
+  rushGame.startAutoFire();
+  await waitFor(() => !rushGame.autoFire);
+  assert.equal(rushGame.ballCount, 2);
+  assert.ok(latestLogText(rush.elements.eventLog).includes('RUSH突入'));
+
+  const broke = createTestDocument();
+  const brokeGame = mountPachinko(
+    broke.doc,
+    createTestConfig({
+      initialCredits: 2,
+      randomProvider: () => 0.9,
+      autoFireRate: 60000,
+    })
+  );
+  brokeGame.startAutoFire();
+  await waitFor(() => !brokeGame.autoFire);
+  assert.equal(brokeGame.ballCount, 2);
+  assert.ok(
+    latestLogText(broke.elements.eventLog).includes('クレジット不足')
+  );
+
+  const reset = createTestDocument();
+  const resetGame = mountPachinko(
+    reset.doc,
+    createTestConfig({ randomProvider: () => 0.9, autoFireRate: 1 })
+  );
+  resetGame.startAutoFire();
+  assert.equal(resetGame.ballCount, 1);
+  resetGame.handleReset();
+  assert.equal(resetGame.autoFire, null);
+  assert.ok(
+    latestLogText(reset.elements.eventLog).includes('初期状態にリセットしました。')
+  );
+});
+
+test('the strength handle drives launches and is replayed from the session', async () => {
+  const { doc, elements } = createTestDocument();
+  const strengthInput = new MockButton('launch-strength', doc);
+  strengthInput.value = '50';
+  const strengthValue = new MockElement('launch-strength-value', doc);
+  doc.registerElement('launch-strength', strengthInput);
+  doc.registerElement('launch-strength-value', strengthValue);
+  const pockets = [
+    {
+      id: 'out',
+      label: 'アウト',
+      reward: 0,
+      strengthWeights: { 0: 1, 20: 0 },
+      isOut: true,
+    },
+    { id: 'miss', label: 'ハズレ', reward: 0, strengthWeights: { 0: 0, 20: 1 } },
+  ];
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ seed: 5, randomProvider: null, pockets })
+  );
+
+  strengthInput.value = '0';
+  strengthInput.listeners.get('input')();
+  assert.equal(game.launchStrength, 0);
+  assert.equal(strengthValue.textContent, '0');
+  elements.shootButton.click();
+  assert.equal(elements.lastResultDisplay.textContent, 'アウト / 抽選なし');
+  assert.ok(game.lastOutcome.isWin === false);
+
+  game.setLaunchStrength(60);
+  assert.equal(strengthInput.value, '60');
+  elements.shootButton.click();
+  assert.equal(elements.lastResultDisplay.textContent, 'ハズレ / ハズレ');
+
+  const session = game.exportSession();
+  assert.deepEqual(
+    session.actions.map(({ strength }) => strength),
+    [0, 60]
+  );
+
+  const replayed = mountPachinko(
+    createTestDocument().doc,
+    createTestConfig({ pockets })
+  );
+  await replayed.replay(session);
+  assert.equal(replayed.launchStrength, 60);
+  assert.equal(replayed.ballCount, 2);
+  assert.equal(replayed.credits, game.credits);
+});
+
+test('physics mode renders the pin layout and drops the ball along its path', async () => {
+  const { doc, elements } = createTestDocument();
+  const pinField = new MockElement('board-pins', doc);
+  doc.registerElement('board-pins', pinField);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      animationDuration: 1,
+      trajectory: 'physics',
+      randomProvider: () => 0.5,
+      launchStrength: 10,
+      boardLayout: {
+        width: 40,
+        height: 20,
+        pins: [{ x: 30, y: 10 }],
+        openings: [{ pocketId: 'miss', x: 0, width: 20 }],
+      },
+    })
+  );
+
+  assert.equal(pinField.children.length, 1);
+  assert.equal(pinField.children[0].className, 'board__pin');
+  assert.ok(pinField.classList.contains('board__pins--layout'));
+
+  elements.shootButton.click();
+  const ball = elements.board.children.find(({ className }) =>
+    className.includes('board__ball')
+  );
+  assert.equal(ball.className, 'board__ball board__ball--physics');
+
+  await waitFor(() => !game.isDropping);
+  assert.equal(elements.lastResultDisplay.textContent, 'ハズレ / ハズレ');
+});
+
+test('the layout editor edits pins and openings and applies only valid layouts', async () => {
+  const { doc, elements } = createTestDocument();
+  const editorButton = new MockButton('layout-editor-button', doc);
+  const saveButton = new MockButton('layout-save-button', doc);
+  const pinField = new MockElement('board-pins', doc);
+  doc.registerElement('layout-editor-button', editorButton);
+  doc.registerElement('layout-save-button', saveButton);
+  doc.registerElement('board-pins', pinField);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      pockets: [
+        { id: 'left', label: '左', reward: 10, weight: 1 },
+        { id: 'right', label: '右', reward: 0, weight: 1 },
+      ],
+      boardLayout: {
+        width: 100,
+        height: 100,
+        pins: [],
+        openings: [
+          { pocketId: 'right', x: 60, width: 40 },
+          { pocketId: 'left', x: 0, width: 40 },
+        ],
+      },
+    })
+  );
+  assert.deepEqual(
+    elements.pocketRow.children.map(
+      ({ children }) => children[0].textContent
+    ),
+    ['左', '右']
+  );
+  assert.equal(game.config.pockets[0].shift, '-30px');
+  assert.equal(pinField.children.length, 0);
+  assert.ok(pinField.classList.contains('board__pins--layout'));
+
+  elements.shootButton.click();
+  await waitFor(() => game.credits === 29);
+  const logCount = elements.eventLog.children.length;
+
+  editorButton.click();
+  const editor = game.layoutEditor;
+  assert.ok(elements.board.children.includes(editor.overlay));
+  editor.overlay.getBoundingClientRect = () => ({
+    left: 0,
+    top: 0,
+    width: 200,
+    height: 200,
+  });
+
+  editor.handlePointerDown({ clientX: 100, clientY: 40 });
+  editor.handlePointerMove({ clientX: 100, clientY: 60 });
+  editor.handlePointerUp();
+  assert.deepEqual(editor.layout.pins, [{ x: 50, y: 30 }]);
+
+  editor.addPin({ x: 51, y: 30 });
+  saveButton.click();
+  assert.ok(latestLogText(elements.eventLog).includes('1件の問題'));
+  assert.ok(
+    editor.overlay.children.some(({ className }) =>
+      className.includes('is-invalid')
+    )
+  );
+
+  editor.handleKeyDown({ key: 'Delete' });
+  editor.handlePointerDown({ clientX: 2, clientY: 190 });
+  editor.handlePointerMove({ clientX: 22, clientY: 190 });
+  editor.handlePointerUp();
+  assert.deepEqual(editor.layout.openings[1], {
+    pocketId: 'left',
+    x: 11,
+    width: 29,
+  });
+
+  const layout = game.handleLayoutSave();
+  assert.equal(game.layoutEditor, null);
+  assert.deepEqual(game.config.boardLayout, layout);
+  assert.equal(game.config.pockets[0].shift, '-24px');
+  assert.equal(pinField.children.length, 1);
+  assert.ok(
+    latestLogText(elements.eventLog).includes('盤面配置を保存して適用しました。')
+  );
+  assert.equal(game.credits, 29);
+  assert.equal(game.ballCount, 1);
+  assert.equal(game.mode, 'big-hit');
+  assert.ok(elements.eventLog.children.length > logCount);
+
+  const replayed = mountPachinko(createTestDocument().doc, createTestConfig());
+  await replayed.replay(game.exportSession());
+  assert.equal(replayed.credits, 29);
+  assert.deepEqual(replayed.config.boardLayout, layout);
+});
+
+test('several balls fall at once and each lands on its own', async () => {
+  const { doc, elements } = createTestDocument();
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      animationDuration: 20,
+      maxBallsInFlight: 2,
+      randomProvider: () => 0.9,
+    })
+  );
+  const landings = [];
+  game.on('pocket', ({ pocketId }) => landings.push(pocketId));
+  const balls = () =>
+    elements.board.children.filter(({ className }) =>
+      className.startsWith('board__ball')
+    );
+
+  game.handleShoot();
+  game.handleShoot();
+  assert.equal(balls().length, 2);
+  assert.equal(game.credits, 18);
+  assert.equal(elements.shootButton.disabled, true);
+
+  game.handleShoot();
+  assert.equal(game.ballCount, 2);
+  assert.ok(latestLogText(elements.eventLog).includes('上限'));
+
+  await waitFor(() => !game.isDropping);
+  assert.deepEqual(landings, ['hit', 'hit']);
+  assert.equal(balls().length, 0);
+  assert.equal(elements.shootButton.disabled, false);
+  assert.equal(game.lastOutcome.isWin, false);
+  assert.equal(game.credits, 18);
+});
+
+test('reset cancels every ball in flight and its timer', async () => {
+  const { doc, elements } = createTestDocument();
+  const game = mountPachinko(
+    doc,
+    createTestConfig({ animationDuration: 10, randomProvider: () => 0.9 })
+  );
+  const landings = [];
+  game.on('pocket', (event) => landings.push(event));
+
+  game.handleShoot();
+  game.handleShoot();
+  game.handleShoot();
+  assert.deepEqual(game.captureState().dropPocketIds, ['hit', 'hit', 'hit']);
+
+  game.handleReset();
+  assert.equal(game.isDropping, false);
+  assert.equal(
+    elements.board.children.filter(({ className }) =>
+      className.startsWith('board__ball')
+    ).length,
+    0
+  );
+
+  await new Promise((resolve) => {
+    setTimeout(resolve, 30);
+  });
+  assert.deepEqual(landings, []);
+  assert.equal(game.ballCount, 0);
+});
+
+test('the attacker shows its round counter and closes rounds on the time limit', async () => {
+  const { doc, elements } = createTestDocument();
+  const attackerDisplay = new MockElement('attacker-display', doc);
+  doc.registerElement('attacker-display', attackerDisplay);
+  const game = mountPachinko(
+    doc,
+    createTestConfig({
+      kakuhenRate: 0,
+      jitanSpins: 0,
+      attackerBallsPerRound: 2,
+      attackerPayout: 5,
+      attackerRoundTime: 20,
+      randomProvider: createSequenceRandomProvider([0, 0, 0.9]),
+      pockets: [
+        {
+          id: 'start',
+          label: 'ヘソ',
+          rounds: 2,
+          rushRounds: 4,
+          triggersLottery: true,
+          weight: 1,
+        },
+      ],
+    })
+  );
+
+  assert.deepEqual(
+    elements.pocketRow.children[0].children.map(
+      ({ textContent }) => textContent
+    ),
+    ['ヘソ', '抽選 当たり 2R', 'RUSH 4R']
+  );
+  assert.equal(attackerDisplay.textContent, '---');
+
+  game.handleShoot();
+  assert.equal(elements.lastResultDisplay.textContent, 'ヘソ / 当たり 2R');
+  assert.equal(attackerDisplay.textContent, '1R / 2R 出玉 +0');
+
+  game.handleShoot();
+  game.handleShoot();
+  assert.equal(game.mode, GAME_MODES.BIG_HIT);
+  assert.equal(attackerDisplay.textContent, '2R / 2R 出玉 +10');
+  assert.equal(elements.creditDisplay.textContent, '027');
+
+  game.handleShoot();
+  assert.equal(elements.lastResultDisplay.textContent, 'アタッカー / 2R +5');
+
+  await waitFor(() => game.mode === GAME_MODES.NORMAL);
+  assert.equal(game.attacker, null);
+  assert.equal(attackerDisplay.textContent, '---');
+  assert.ok(
+    elements.eventLog.children[1].textContent.includes(
+      '2R終了 (時間切れ / 1個 / +5) 総出玉15'
+    )
+  );
+  assert.ok(latestLogText(elements.eventLog).includes('大当たり終了'));
+  assert.equal(game.dataCounter.history[0].reward, 15);
+  assert.equal(elements.creditDisplay.textContent, '031');
+});
+
+test('the spec selector re-mounts the game with the chosen machine', async () => {
+  const { doc, elements } = createTestDocument();
+  const select = new MockButton('spec-select', doc);
+  doc.registerElement('spec-select', select);
+  const loaded = [];
+  const selector = mountMachineSelector(doc, {
+    config: createTestConfig(),
+    loadSpec: (preset) => {
+      loaded.push(preset.id);
+      if (preset.id === 'middle') {
+        return Promise.reject(new Error('offline'));
+      }
+      const file = new URL(`../${preset.path}`, import.meta.url);
+      return readMachineSpec(JSON.parse(readFileSync(file, 'utf8')));
+    },
+  });
+  const original = selector.game;
+
+  assert.deepEqual(
+    select.children.map(({ textContent }) => textContent),
+    ['標準', '甘デジ', 'ライトミドル', 'ミドル']
+  );
+  assert.equal(select.value, 'standard');
+  assert.equal(
+    elements.shootButton.listeners.get('click'),
+    original.handleShoot
+  );
+
+  select.value = 'amadeji';
+  const game = await select.listeners.get('change')();
+  assert.notEqual(game, original);
+  assert.equal(selector.game, game);
+  assert.equal(elements.shootButton.listeners.get('click'), game.handleShoot);
+  assert.equal(game.config.hitRate, 1 / 99);
+  assert.equal(game.config.rushRate, 0.5);
+  assert.ok(
+    latestLogText(elements.eventLog).includes(
+      '機種を「甘デジ」に切り替えました。'
+    )
+  );
+
+  select.value = 'middle';
+  assert.equal(await select.listeners.get('change')(), game);
+  assert.ok(
+    latestLogText(elements.eventLog).includes(
+      '機種「ミドル」を読み込めませんでした。'
+    )
+  );
+  assert.equal(select.value, 'amadeji');
+  assert.deepEqual(loaded, ['amadeji', 'middle']);
+});
+
+test('the spec selector keeps the current game when the new spec fails to mount', async () => {
+  const { doc, elements } = createTestDocument();
+  const select = new MockButton('spec-select', doc);
+  doc.registerElement('spec-select', select);
+  const selector = mountMachineSelector(doc, {
+    config: createTestConfig(),
+    loadSpec: () => ({ name: '壊れた機種', config: { hitRate: 2 } }),
+  });
+  const original = selector.game;
+
+  select.value = 'amadeji';
+  assert.equal(await select.listeners.get('change')(), original);
+  assert.equal(selector.game, original);
+  assert.equal(select.value, 'standard');
+  assert.ok(
+    latestLogText(elements.eventLog).includes(
+      '機種「甘デジ」を読み込めませんでした。'
+    )
+  );
+  assert.equal(
+    elements.shootButton.listeners.get('click'),
+    original.handleShoot
+  );
+  elements.shootButton.listeners.get('click')();
+  assert.equal(original.ballCount, 1);
+});
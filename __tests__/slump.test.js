@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SlumpSeries,
+  formatSlumpCsv,
+  renderSlumpSvg,
+  selectRecentPoints,
+  thinPoints,
+} from '../slump.js';
+
+const POINTS = [
+  { ball: 0, spin: 0, credits: 100, marker: null },
+  { ball: 1, spin: 0, credits: 99, marker: null },
+  { ball: 2, spin: 0, credits: 98, marker: null },
+  { ball: 2, spin: 1, credits: 148, marker: 'win' },
+  { ball: 3, spin: 1, credits: 147, marker: null },
+  { ball: 4, spin: 2, credits: 146, marker: null },
+];
+
+test('SlumpSeries keeps at most maxPoints, dropping the oldest', () => {
+  const series = new SlumpSeries({ maxPoints: 3 });
+  series.reset(10);
+  series.record({ ball: 1, credits: 9 });
+  series.record({ ball: 2, credits: 8 });
+  series.countSpin();
+  series.record({ ball: 3, credits: 20, marker: 'win' });
+
+  assert.deepEqual(
+    series.getPoints().map(({ ball, spin }) => [ball, spin]),
+    [
+      [1, 0],
+      [2, 0],
+      [3, 1],
+    ]
+  );
+  assert.equal(series.baseline, 10);
+  assert.throws(() => series.restore({ points: [] }), /malformed/);
+
+  series.restore({
+    baseline: 10,
+    points: [
+      { ball: 5, credits: 3 },
+      { ball: 6, spin: 4, credits: 2 },
+    ],
+  });
+  assert.equal(series.spins, 4);
+  assert.equal(series.getPoints()[0].spin, 0);
+});
+
+test('selectRecentPoints zooms to the last N spins', () => {
+  assert.deepEqual(
+    selectRecentPoints(POINTS, 1).map(({ ball }) => ball),
+    [2, 3, 4]
+  );
+  assert.deepEqual(
+    selectRecentPoints(POINTS, 2).map(({ ball }) => ball),
+    [0, 1, 2, 2, 3, 4]
+  );
+  assert.equal(selectRecentPoints(POINTS, Number('all')), POINTS);
+});
+
+test('thinPoints keeps markers and the last point', () => {
+  const thinned = thinPoints(POINTS, 2);
+  assert.ok(thinned.includes(POINTS[3]));
+  assert.equal(thinned[thinned.length - 1], POINTS[POINTS.length - 1]);
+  assert.ok(thinned.length < POINTS.length);
+});
+
+test('renderSlumpSvg draws the line, baseline, and markers', () => {
+  const svg = renderSlumpSvg(POINTS, { baseline: 100 });
+
+  assert.ok(svg.startsWith('<svg class="slump__svg"'));
+  assert.equal((svg.match(/class="slump__line"/g) ?? []).length, 1);
+  assert.ok(svg.includes('class="slump__baseline"'));
+  assert.ok(svg.includes('slump__marker--win'));
+  assert.ok(svg.includes('<title>2発目 148</title>'));
+  assert.equal(renderSlumpSvg([]).includes('<path'), false);
+});
+
+test('formatSlumpCsv exports the series with a header row', () => {
+  assert.equal(
+    formatSlumpCsv(POINTS.slice(2, 4)),
+    'ball,spin,credits,marker\n2,0,98,\n2,1,148,win'
+  );
+});
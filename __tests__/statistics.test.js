@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  binomialInterval,
+  chiSquareTest,
+  normalQuantile,
+  regularizedGammaQ,
+} from '../statistics.js';
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+test('regularizedGammaQ matches chi-square critical values', () => {
+  assertClose(regularizedGammaQ(0.5, 3.841458820694124 / 2), 0.05);
+  assertClose(regularizedGammaQ(2.5, 15.08627246938899 / 2), 0.01);
+  assertClose(regularizedGammaQ(50, 124.3421134 / 2), 0.05);
+  assert.equal(regularizedGammaQ(1, 0), 1);
+  assert.equal(regularizedGammaQ(1, Infinity), 0);
+});
+
+test('chiSquareTest sums the cells and skips impossible ones', () => {
+  const result = chiSquareTest([10, 20, 30, 0], [20, 20, 20, 0]);
+
+  assert.equal(result.statistic, 10);
+  assert.equal(result.degreesOfFreedom, 2);
+  assertClose(result.pValue, Math.exp(-5));
+  assert.deepEqual(chiSquareTest([1, 0], [0, 1]), {
+    statistic: Infinity,
+    degreesOfFreedom: 0,
+    pValue: 0,
+  });
+  assert.throws(() => chiSquareTest([1], [1, 2]), /same length/);
+});
+
+test('normalQuantile and binomialInterval give the usual z and Wilson bounds', () => {
+  assertClose(normalQuantile(0.975), 1.959964);
+  assertClose(normalQuantile(0.005), -2.575829);
+  assert.equal(normalQuantile(0.5), 0);
+  assert.throws(() => normalQuantile(1), /between 0 and 1/);
+
+  const interval = binomialInterval(50, 100, 0.95);
+  assertClose(interval.low, 0.403832);
+  assertClose(interval.high, 0.596168);
+  assert.equal(binomialInterval(0, 10).low, 0);
+  assert.deepEqual(binomialInterval(0, 0), { low: 0, high: 1 });
+});
@@ -0,0 +1,19 @@
+import { loadSpecArgument, readArgument } from './cli.js';
+import {
+  calculateExpectedValue,
+  formatExpectedValueTable,
+} from './expected-value.js';
+
+const args = process.argv.slice(2);
+const specSource = readArgument(args, '--spec');
+const spec = specSource ? loadSpecArgument(specSource) : null;
+const strength = readArgument(args, '--strength');
+const config = { ...spec?.config };
+if (strength !== null) {
+  config.launchStrength = Number(strength);
+}
+
+if (spec) {
+  console.log(`機種: ${spec.name}`);
+}
+console.log(formatExpectedValueTable(calculateExpectedValue(config)));
@@ -0,0 +1,61 @@
+import { GAME_MODES } from './engine.js';
+
+export const AUTO_FIRE_STOP_REASONS = Object.freeze({
+  MANUAL: 'manual',
+  WIN: 'win',
+  RUSH: 'rush',
+  LOW_CREDITS: 'low-credits',
+  BALL_LIMIT: 'ball-limit',
+  NO_CREDITS: 'no-credits',
+});
+
+export const AUTO_FIRE_STOP_LABELS = {
+  [AUTO_FIRE_STOP_REASONS.MANUAL]: '手動停止',
+  [AUTO_FIRE_STOP_REASONS.WIN]: '当たり',
+  [AUTO_FIRE_STOP_REASONS.RUSH]: 'RUSH突入',
+  [AUTO_FIRE_STOP_REASONS.LOW_CREDITS]: 'クレジット下限',
+  [AUTO_FIRE_STOP_REASONS.BALL_LIMIT]: '発射数上限',
+  [AUTO_FIRE_STOP_REASONS.NO_CREDITS]: 'クレジット不足',
+};
+
+export function getAutoFireInterval(rate) {
+  const ballsPerMinute = Number(rate);
+  if (!Number.isFinite(ballsPerMinute) || ballsPerMinute <= 0) {
+    return null;
+  }
+  return Math.max(1, Math.round(60000 / ballsPerMinute));
+}
+
+export function findAutoFireStopReason(
+  { credits, fired },
+  { stopBelowCredits = null, stopAfterBalls = null } = {}
+) {
+  if (Number.isFinite(stopBelowCredits) && credits < stopBelowCredits) {
+    return AUTO_FIRE_STOP_REASONS.LOW_CREDITS;
+  }
+
+  if (
+    Number.isFinite(stopAfterBalls) &&
+    stopAfterBalls > 0 &&
+    fired >= stopAfterBalls
+  ) {
+    return AUTO_FIRE_STOP_REASONS.BALL_LIMIT;
+  }
+
+  return null;
+}
+
+export function findWinStopReason(
+  { isRush, mode },
+  { stopOnWin = false, stopOnRush = false } = {}
+) {
+  if (stopOnRush && isRush && mode !== GAME_MODES.RUSH) {
+    return AUTO_FIRE_STOP_REASONS.RUSH;
+  }
+
+  if (stopOnWin) {
+    return AUTO_FIRE_STOP_REASONS.WIN;
+  }
+
+  return null;
+}
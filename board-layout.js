@@ -0,0 +1,185 @@
+import { DEFAULT_BOARD_LAYOUT, simulateTrajectory } from './physics.js';
+import { createSeededRandom } from './random.js';
+
+export const LAYOUT_PROBLEMS = Object.freeze({
+  PIN_OVERLAP: 'pin-overlap',
+  PIN_OUTSIDE: 'pin-outside',
+  OPENING_OUTSIDE: 'opening-outside',
+  OPENING_OVERLAP: 'opening-overlap',
+  UNKNOWN_POCKET: 'unknown-pocket',
+  POCKET_UNREACHABLE: 'pocket-unreachable',
+});
+
+const REACH_STRENGTHS = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+const REACH_BALLS_PER_STRENGTH = 20;
+
+export function resolveBoardLayout(layout) {
+  return { ...DEFAULT_BOARD_LAYOUT, ...layout };
+}
+
+export function cloneBoardLayout(layout) {
+  const resolved = resolveBoardLayout(layout);
+  return {
+    ...resolved,
+    pins: (resolved.pins ?? []).map(({ x, y }) => ({ x, y })),
+    openings: (resolved.openings ?? []).map((opening) => ({ ...opening })),
+  };
+}
+
+function toPixels(value) {
+  const pixels = Number.parseFloat(value);
+  return Number.isFinite(pixels) ? pixels : null;
+}
+
+export function getPocketShifts(layout, opening, pocket = {}) {
+  const { width } = resolveBoardLayout(layout);
+  const shift = Math.round(opening.x + opening.width / 2 - width / 2);
+  const previous = toPixels(pocket.shift);
+  const follow = (value, ratio) => {
+    const pixels = toPixels(value);
+    return previous === null || pixels === null
+      ? Math.round(shift * ratio)
+      : Math.round(pixels + shift - previous);
+  };
+
+  return {
+    shift: `${shift}px`,
+    midShift: `${follow(pocket.midShift, 0.5)}px`,
+    earlyShift: `${follow(pocket.earlyShift, 0.2)}px`,
+  };
+}
+
+export function applyLayoutToPockets(pockets, layout) {
+  const openings = layout?.openings ?? [];
+  return pockets.map((pocket) => {
+    const opening = openings.find(({ pocketId }) => pocketId === pocket.id);
+    return opening
+      ? { ...pocket, ...getPocketShifts(layout, opening, pocket) }
+      : pocket;
+  });
+}
+
+export function sortPocketsByOpening(pockets, layout) {
+  const openings = layout?.openings ?? [];
+  const positionOf = (pocket) => {
+    const opening = openings.find(({ pocketId }) => pocketId === pocket.id);
+    return opening ? opening.x : Infinity;
+  };
+  return pockets
+    .map((pocket, index) => ({ pocket, index, x: positionOf(pocket) }))
+    .sort((a, b) => a.x - b.x || a.index - b.index)
+    .map(({ pocket }) => pocket);
+}
+
+function findReachedPockets(layout) {
+  const random = createSeededRandom(1);
+  const reached = new Set();
+  REACH_STRENGTHS.forEach((strength) => {
+    for (let ball = 0; ball < REACH_BALLS_PER_STRENGTH; ball += 1) {
+      const { pocketId } = simulateTrajectory(layout, {
+        random,
+        strength,
+        recordPath: false,
+      });
+      reached.add(pocketId);
+    }
+  });
+  return reached;
+}
+
+export function validateBoardLayout(layout, pockets = []) {
+  const resolved = resolveBoardLayout(layout);
+  const { width, height, pinRadius, ballRadius } = resolved;
+  const pins = resolved.pins ?? [];
+  const openings = resolved.openings ?? [];
+  const problems = [];
+
+  pins.forEach((pin, index) => {
+    if (pin.x < 0 || pin.x > width || pin.y < 0 || pin.y > height) {
+      problems.push({
+        code: LAYOUT_PROBLEMS.PIN_OUTSIDE,
+        pins: [index],
+        message: `釘${index + 1}が盤面の外にあります。`,
+      });
+    }
+
+    for (let other = index + 1; other < pins.length; other += 1) {
+      const distance = Math.hypot(pin.x - pins[other].x, pin.y - pins[other].y);
+      if (distance < pinRadius * 2) {
+        problems.push({
+          code: LAYOUT_PROBLEMS.PIN_OVERLAP,
+          pins: [index, other],
+          message: `釘${index + 1}と釘${other + 1}が重なっています。`,
+        });
+      }
+    }
+  });
+
+  const sorted = openings
+    .map((opening, index) => ({ ...opening, index }))
+    .sort((a, b) => a.x - b.x);
+  sorted.forEach((opening, position) => {
+    if (opening.x < 0 || opening.x + opening.width > width) {
+      problems.push({
+        code: LAYOUT_PROBLEMS.OPENING_OUTSIDE,
+        openings: [opening.index],
+        message: `入口「${opening.pocketId}」が盤面の外にはみ出しています。`,
+      });
+    }
+
+    const next = sorted[position + 1];
+    if (next && opening.x + opening.width > next.x) {
+      problems.push({
+        code: LAYOUT_PROBLEMS.OPENING_OVERLAP,
+        openings: [opening.index, next.index],
+        message: `入口「${opening.pocketId}」と「${next.pocketId}」が重なっています。`,
+      });
+    }
+
+    if (!pockets.some(({ id }) => id === opening.pocketId)) {
+      problems.push({
+        code: LAYOUT_PROBLEMS.UNKNOWN_POCKET,
+        openings: [opening.index],
+        message: `入口「${opening.pocketId}」に対応するポケットがありません。`,
+      });
+    }
+  });
+
+  const reached = findReachedPockets(resolved);
+  pockets
+    .filter(({ isOut }) => !isOut)
+    .forEach((pocket) => {
+      const index = openings.findIndex(
+        ({ pocketId }) => pocketId === pocket.id
+      );
+      const opening = openings[index];
+      if (!opening) {
+        problems.push({
+          code: LAYOUT_PROBLEMS.POCKET_UNREACHABLE,
+          pocketId: pocket.id,
+          message: `${pocket.label}に入口がありません。`,
+        });
+      } else if (opening.width < ballRadius * 2) {
+        problems.push({
+          code: LAYOUT_PROBLEMS.POCKET_UNREACHABLE,
+          pocketId: pocket.id,
+          openings: [index],
+          message: `${pocket.label}の入口が玉より狭いため入賞できません。`,
+        });
+      } else if (!reached.has(pocket.id)) {
+        problems.push({
+          code: LAYOUT_PROBLEMS.POCKET_UNREACHABLE,
+          pocketId: pocket.id,
+          openings: [index],
+          message: `${pocket.label}にはどの強さでも玉が届きません。`,
+        });
+      }
+    });
+
+  return problems.map((problem) => ({
+    pins: [],
+    openings: [],
+    pocketId: null,
+    ...problem,
+  }));
+}
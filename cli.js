@@ -0,0 +1,26 @@
+import { readFileSync } from 'node:fs';
+import { findMachineSpecPreset, readMachineSpec } from './machine-specs.js';
+
+export function readArgument(args, name) {
+  const index = args.findIndex(
+    (arg) => arg === name || arg.startsWith(`${name}=`)
+  );
+  if (index === -1) {
+    return null;
+  }
+
+  const arg = args[index];
+  return arg === name
+    ? args[index + 1] ?? null
+    : arg.slice(arg.indexOf('=') + 1);
+}
+
+export function loadSpecArgument(source) {
+  const preset = findMachineSpecPreset(source);
+  if (preset && !preset.path) {
+    return { name: preset.name, description: '', config: {} };
+  }
+
+  const path = preset ? new URL(preset.path, import.meta.url) : source;
+  return readMachineSpec(JSON.parse(readFileSync(path, 'utf8')));
+}
@@ -0,0 +1,198 @@
+import { LAUNCH_STRENGTH } from './launch.js';
+import { TRAJECTORY_MODES } from './physics.js';
+
+const RATE_KEYS = [
+  'hitRate',
+  'rushRate',
+  'rushHitRate',
+  'rushContinuationRate',
+  'kakuhenRate',
+  'kakuhenHitRate',
+];
+
+const COUNT_KEYS = [
+  'holdLimit',
+  'dataHistoryLimit',
+  'slumpMaxPoints',
+  'rushSpins',
+  'jitanSpins',
+  'attackerPayout',
+  'attackerRoundTime',
+];
+
+const POCKET_AMOUNT_KEYS = ['reward', 'rushReward', 'prizeBalls'];
+const POCKET_COUNT_KEYS = ['rounds', 'rushRounds'];
+const POCKET_FLAG_KEYS = ['triggersLottery', 'isOut'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createChecker(problems) {
+  const report = (path, rule) => {
+    problems.push({ path, message: `${path} ${rule}` });
+  };
+
+  const number = (value, path, { min, above, max, integer = false } = {}) => {
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      report(path, 'must be a finite number');
+    } else if (integer && !Number.isInteger(value)) {
+      report(path, 'must be an integer');
+    } else if (min !== undefined && value < min) {
+      report(path, `must be >= ${min}`);
+    } else if (above !== undefined && value <= above) {
+      report(path, `must be > ${above}`);
+    } else if (max !== undefined && value > max) {
+      report(path, `must be <= ${max}`);
+    }
+  };
+
+  return { report, number };
+}
+
+function validatePocket(pocket, path, { report, number }) {
+  if (!isPlainObject(pocket)) {
+    report(path, 'must be an object');
+    return;
+  }
+
+  if (typeof pocket.id !== 'string' || pocket.id.trim() === '') {
+    report(`${path}.id`, 'must be a non-empty string');
+  }
+  if (pocket.label !== undefined && typeof pocket.label !== 'string') {
+    report(`${path}.label`, 'must be a string');
+  }
+
+  POCKET_AMOUNT_KEYS.forEach((key) => {
+    number(pocket[key], `${path}.${key}`, { min: 0 });
+  });
+  POCKET_COUNT_KEYS.forEach((key) => {
+    number(pocket[key], `${path}.${key}`, { min: 0, integer: true });
+  });
+  POCKET_FLAG_KEYS.forEach((key) => {
+    if (pocket[key] !== undefined && typeof pocket[key] !== 'boolean') {
+      report(`${path}.${key}`, 'must be a boolean');
+    }
+  });
+  number(pocket.weight, `${path}.weight`, { min: 0 });
+
+  if (pocket.strengthWeights === undefined) {
+    return;
+  }
+  if (!isPlainObject(pocket.strengthWeights)) {
+    report(`${path}.strengthWeights`, 'must be an object');
+    return;
+  }
+  Object.entries(pocket.strengthWeights).forEach(([strength, weight]) => {
+    const keyPath = `${path}.strengthWeights[${strength}]`;
+    const key = Number(strength);
+    if (
+      strength.trim() === '' ||
+      !Number.isFinite(key) ||
+      key < LAUNCH_STRENGTH.MIN ||
+      key > LAUNCH_STRENGTH.MAX
+    ) {
+      report(
+        keyPath,
+        `must use a strength between ${LAUNCH_STRENGTH.MIN} and ${LAUNCH_STRENGTH.MAX}`
+      );
+    }
+    number(weight, keyPath, { min: 0 });
+  });
+}
+
+export function validateConfig(config) {
+  const problems = [];
+  if (!isPlainObject(config)) {
+    return [{ path: 'config', message: 'config must be an object' }];
+  }
+
+  const checker = createChecker(problems);
+  const { report, number } = checker;
+
+  number(config.initialCredits, 'initialCredits', { min: 0 });
+  number(config.ballCost, 'ballCost', { above: 0 });
+  number(config.jitanBallCost, 'jitanBallCost', { min: 0 });
+  number(config.rushRewardMultiplier, 'rushRewardMultiplier', { min: 1 });
+  number(config.jitanStartBoost, 'jitanStartBoost', { min: 0 });
+  number(config.attackerBallsPerRound, 'attackerBallsPerRound', {
+    min: 1,
+    integer: true,
+  });
+  number(config.launchStrength, 'launchStrength', {
+    min: LAUNCH_STRENGTH.MIN,
+    max: LAUNCH_STRENGTH.MAX,
+  });
+  RATE_KEYS.forEach((key) => {
+    number(config[key], key, { min: 0, max: 1 });
+  });
+  COUNT_KEYS.forEach((key) => {
+    number(config[key], key, { min: 0, integer: true });
+  });
+
+  if (
+    config.randomProvider !== undefined &&
+    config.randomProvider !== null &&
+    typeof config.randomProvider !== 'function'
+  ) {
+    report('randomProvider', 'must be a function or null');
+  }
+  if (
+    config.timestampProvider !== undefined &&
+    typeof config.timestampProvider !== 'function'
+  ) {
+    report('timestampProvider', 'must be a function');
+  }
+
+  const trajectories = Object.values(TRAJECTORY_MODES);
+  if (
+    config.trajectory !== undefined &&
+    !trajectories.includes(config.trajectory)
+  ) {
+    report('trajectory', `must be one of ${trajectories.join(', ')}`);
+  }
+  if (config.boardLayout !== undefined && !isPlainObject(config.boardLayout)) {
+    report('boardLayout', 'must be an object');
+  }
+
+  if (config.pockets === undefined) {
+    return problems;
+  }
+  if (!Array.isArray(config.pockets) || config.pockets.length === 0) {
+    report('pockets', 'must contain at least one pocket');
+    return problems;
+  }
+
+  const seen = new Map();
+  config.pockets.forEach((pocket, index) => {
+    const path = `pockets[${index}]`;
+    validatePocket(pocket, path, checker);
+
+    const id = pocket?.id;
+    if (typeof id !== 'string') {
+      return;
+    }
+    if (seen.has(id)) {
+      report(`${path}.id`, `duplicates ${seen.get(id)}.id "${id}"`);
+    } else {
+      seen.set(id, path);
+    }
+  });
+
+  return problems;
+}
+
+export function assertValidConfig(config, name = 'config') {
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid ${name}:\n${problems
+        .map(({ message }) => `- ${message}`)
+        .join('\n')}`
+    );
+  }
+  return config;
+}
@@ -0,0 +1,143 @@
+export const DEFAULT_HISTORY_LIMIT = 10;
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+export function getDayKey(timestamp) {
+  const date = new Date(
+    timestamp instanceof Date ? timestamp.getTime() : Number(timestamp)
+  );
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+export class DataCounter {
+  constructor({ historyLimit = DEFAULT_HISTORY_LIMIT } = {}) {
+    this.historyLimit = Math.max(0, Math.floor(historyLimit ?? 0));
+    this.day = null;
+    this.reset();
+  }
+
+  reset() {
+    this.totalSpins = 0;
+    this.spinsSinceHit = 0;
+    this.bigHits = 0;
+    this.rushCount = 0;
+    this.maxSpinsBetweenHits = 0;
+    this.history = [];
+  }
+
+  startDay(day) {
+    if (day === null || day === this.day) {
+      return false;
+    }
+
+    const isNewDay = this.day !== null;
+    if (isNewDay) {
+      this.reset();
+    }
+    this.day = day;
+    return isNewDay;
+  }
+
+  recordSpin({ pocket, outcome, inRush = false }) {
+    this.totalSpins += 1;
+    this.spinsSinceHit += 1;
+
+    if (!outcome?.isWin) {
+      return null;
+    }
+
+    const hit = {
+      spin: this.totalSpins,
+      spins: this.spinsSinceHit,
+      pocketId: pocket.id,
+      label: pocket.label,
+      reward: outcome.reward,
+      isRush: Boolean(outcome.isRush || inRush),
+    };
+
+    this.bigHits += 1;
+    this.maxSpinsBetweenHits = Math.max(
+      this.maxSpinsBetweenHits,
+      this.spinsSinceHit
+    );
+    this.spinsSinceHit = 0;
+    this.history.unshift(hit);
+    this.history.length = Math.min(this.history.length, this.historyLimit);
+    return hit;
+  }
+
+  recordPayout(amount) {
+    const [latest] = this.history;
+    if (latest) {
+      latest.reward += amount;
+    }
+  }
+
+  recordRushEntry() {
+    this.rushCount += 1;
+  }
+
+  getMaxSpinsBetweenHits() {
+    return Math.max(this.maxSpinsBetweenHits, this.spinsSinceHit);
+  }
+
+  snapshot() {
+    return {
+      totalSpins: this.totalSpins,
+      spinsSinceHit: this.spinsSinceHit,
+      bigHits: this.bigHits,
+      rushCount: this.rushCount,
+      maxSpinsBetweenHits: this.getMaxSpinsBetweenHits(),
+      history: this.history.map((hit) => ({ ...hit })),
+    };
+  }
+
+  serialize() {
+    return {
+      ...this.snapshot(),
+      maxSpinsBetweenHits: this.maxSpinsBetweenHits,
+      day: this.day,
+    };
+  }
+
+  restore(state) {
+    const counts = [
+      state?.totalSpins,
+      state?.spinsSinceHit,
+      state?.bigHits,
+      state?.rushCount,
+      state?.maxSpinsBetweenHits,
+    ];
+    if (
+      !counts.every(isCount) ||
+      !Array.isArray(state.history) ||
+      !(
+        state.day === undefined ||
+        state.day === null ||
+        typeof state.day === 'string'
+      )
+    ) {
+      throw new Error('Saved data counter is malformed.');
+    }
+
+    this.totalSpins = state.totalSpins;
+    this.spinsSinceHit = state.spinsSinceHit;
+    this.bigHits = state.bigHits;
+    this.rushCount = state.rushCount;
+    this.maxSpinsBetweenHits = state.maxSpinsBetweenHits;
+    this.history = state.history
+      .slice(0, this.historyLimit)
+      .map((hit) => ({ ...hit }));
+    this.day = state.day ?? null;
+  }
+}
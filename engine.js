@@ -0,0 +1,1045 @@
+import {
+  createSeed,
+  createSeededRandom,
+  deriveSeed,
+  normalizeSeed,
+} from './random.js';
+import { DEFAULT_HISTORY_LIMIT, DataCounter } from './data-counter.js';
+import {
+  LAUNCH_STRENGTH,
+  clampStrength,
+  getStrengthWeight,
+} from './launch.js';
+import {
+  DEFAULT_BOARD_LAYOUT,
+  TRAJECTORY_MODES,
+  resolveLandingPocket,
+  simulateTrajectory,
+} from './physics.js';
+import { assertValidConfig } from './config-validation.js';
+import {
+  DEFAULT_SLUMP_MAX_POINTS,
+  SLUMP_MARKERS,
+  SlumpSeries,
+} from './slump.js';
+
+export const DEFAULT_ENGINE_CONFIG = {
+  initialCredits: 120,
+  ballCost: 1,
+  holdLimit: 4,
+  dataHistoryLimit: DEFAULT_HISTORY_LIMIT,
+  slumpMaxPoints: DEFAULT_SLUMP_MAX_POINTS,
+  seed: null,
+  randomProvider: null,
+  timestampProvider: () => new Date(),
+  launchStrength: LAUNCH_STRENGTH.DEFAULT,
+  trajectory: TRAJECTORY_MODES.WEIGHTS,
+  boardLayout: DEFAULT_BOARD_LAYOUT,
+  hitRate: 1 / 99,
+  rushRate: 0.25,
+  rushRewardMultiplier: 4,
+  rushSpins: 10,
+  rushHitRate: 1 / 8,
+  rushContinuationRate: 0.75,
+  kakuhenRate: 0.5,
+  kakuhenHitRate: 1 / 20,
+  jitanSpins: 30,
+  jitanBallCost: 1,
+  jitanStartBoost: 2,
+  attackerBallsPerRound: 10,
+  attackerPayout: 5,
+  attackerRoundTime: 30000,
+  pockets: [
+    {
+      id: 'jackpot',
+      label: 'ヘソ',
+      reward: 0,
+      rounds: 4,
+      rushRounds: 10,
+      prizeBalls: 3,
+      triggersLottery: true,
+      weight: 1,
+      strengthWeights: { 0: 0, 30: 0.5, 50: 1, 70: 0.5, 100: 0 },
+      shift: '0px',
+      midShift: '12px',
+      earlyShift: '-18px',
+    },
+    {
+      id: 'gold',
+      label: '黄金ポケット',
+      reward: 0,
+      prizeBalls: 2,
+      triggersLottery: false,
+      weight: 2,
+      strengthWeights: { 0: 1, 30: 3, 50: 2, 70: 1, 100: 0 },
+      shift: '-80px',
+      midShift: '-30px',
+      earlyShift: '12px',
+    },
+    {
+      id: 'silver-left',
+      label: 'シルバーL',
+      reward: 0,
+      prizeBalls: 1,
+      triggersLottery: false,
+      weight: 3,
+      strengthWeights: { 0: 3, 30: 5, 50: 3, 70: 1, 100: 0 },
+      shift: '-160px',
+      midShift: '-90px',
+      earlyShift: '-40px',
+    },
+    {
+      id: 'silver-right',
+      label: 'シルバーR',
+      reward: 0,
+      prizeBalls: 1,
+      triggersLottery: false,
+      weight: 3,
+      strengthWeights: { 0: 0, 30: 1, 50: 3, 70: 5, 100: 3 },
+      shift: '160px',
+      midShift: '90px',
+      earlyShift: '40px',
+    },
+    {
+      id: 'miss',
+      label: 'ハズレ',
+      reward: 0,
+      weight: 5,
+      strengthWeights: { 0: 1, 30: 4, 50: 5, 70: 5, 100: 2 },
+      shift: '80px',
+      midShift: '30px',
+      earlyShift: '-12px',
+      className: 'pocket--miss',
+    },
+    {
+      id: 'out',
+      label: 'アウト',
+      reward: 0,
+      weight: 0,
+      strengthWeights: { 0: 8, 20: 3, 35: 0, 65: 0, 80: 3, 100: 8 },
+      isOut: true,
+      className: 'pocket--out',
+    },
+  ],
+};
+
+export const ATTACKER_POCKET = Object.freeze({
+  id: 'attacker',
+  label: 'アタッカー',
+  reward: 0,
+  isAttacker: true,
+  shift: '120px',
+  midShift: '60px',
+  earlyShift: '30px',
+});
+
+export const GAME_MODES = Object.freeze({
+  NORMAL: 'normal',
+  BIG_HIT: 'big-hit',
+  RUSH: 'rush',
+  KAKUHEN: 'kakuhen',
+  JITAN: 'jitan',
+});
+
+export const MODE_LABELS = {
+  [GAME_MODES.NORMAL]: '通常',
+  [GAME_MODES.BIG_HIT]: '大当たり',
+  [GAME_MODES.RUSH]: 'RUSH',
+  [GAME_MODES.KAKUHEN]: '確変',
+  [GAME_MODES.JITAN]: '時短',
+};
+
+export const COUNTED_MODES = new Set([GAME_MODES.RUSH, GAME_MODES.JITAN]);
+
+export const GAME_EVENTS = Object.freeze({
+  SHOT: 'shot',
+  POCKET: 'pocket',
+  WIN: 'win',
+  RUSH_START: 'rush-start',
+  RUSH_END: 'rush-end',
+  CREDITS_CHANGED: 'credits-changed',
+  RESET: 'reset',
+  REELS_STOPPED: 'reels-stopped',
+  ROUND_END: 'round-end',
+});
+
+export const LANDING_STATUS = Object.freeze({
+  MISS: 'miss',
+  SPIN: 'spin',
+  HOLD: 'hold',
+  OVERFLOW: 'overflow',
+  OUT: 'out',
+  ATTACKER: 'attacker',
+});
+
+export function isLotteryPocket(pocket) {
+  return (
+    !pocket.isOut &&
+    !pocket.isAttacker &&
+    (pocket.triggersLottery ?? (pocket.reward ?? 0) > 0)
+  );
+}
+
+export function getPrizeBalls(pocket) {
+  const prizeBalls = Math.floor(pocket.prizeBalls ?? 0);
+  return pocket.isOut || !Number.isFinite(prizeBalls)
+    ? 0
+    : Math.max(0, prizeBalls);
+}
+
+function clampRate(value) {
+  return Math.max(0, Math.min(1, value ?? 0));
+}
+
+function toUnitInterval(value) {
+  const magnitude = Math.abs(value);
+  return magnitude - Math.floor(magnitude);
+}
+
+function createRushRecord(startBall) {
+  return { startBall, spins: 0, hits: 0, payout: 0 };
+}
+
+function createAttacker(rounds) {
+  return { rounds, round: 1, roundBalls: 0, roundPayout: 0, payout: 0 };
+}
+
+export function getPocketRounds(pocket, isRush) {
+  const rounds = Math.floor(
+    (isRush ? pocket.rushRounds : null) ?? pocket.rounds ?? 0
+  );
+  return Number.isFinite(rounds) ? Math.max(0, rounds) : 0;
+}
+
+export function getPocketReward(pocket, isRush, rushRewardMultiplier = 1) {
+  const reward = pocket.reward ?? 0;
+  if (!isRush) {
+    return reward;
+  }
+  return pocket.rushReward
+    ? Math.max(pocket.rushReward, reward)
+    : reward * Math.max(1, rushRewardMultiplier ?? 1);
+}
+
+export function getModeRates(config, mode) {
+  const rates = {
+    hitRate: clampRate(config.hitRate),
+    rushRate: clampRate(config.rushRate),
+    ballCost: config.ballCost,
+    startBoost: 1,
+  };
+
+  if (mode === GAME_MODES.RUSH) {
+    rates.hitRate = clampRate(config.rushHitRate);
+    rates.rushRate = clampRate(config.rushContinuationRate);
+  } else if (mode === GAME_MODES.KAKUHEN) {
+    rates.hitRate = clampRate(config.kakuhenHitRate);
+  } else if (mode === GAME_MODES.JITAN) {
+    rates.ballCost = config.jitanBallCost ?? config.ballCost;
+    rates.startBoost = Math.max(0, config.jitanStartBoost ?? 1);
+  }
+
+  return rates;
+}
+
+function formatWinReward(outcome, unit = '枚獲得') {
+  return outcome.rounds
+    ? `${outcome.rounds}ラウンド`
+    : `${outcome.reward}${unit}`;
+}
+
+function isAttackerState(attacker) {
+  return (
+    attacker !== null &&
+    typeof attacker === 'object' &&
+    [
+      attacker.rounds,
+      attacker.round,
+      attacker.roundBalls,
+      attacker.roundPayout,
+      attacker.payout,
+    ].every(isCount)
+  );
+}
+
+function copyRecord(record) {
+  return record ? { ...record } : null;
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+export class PachinkoEngine {
+  constructor(config = {}, { log } = {}) {
+    this.log = typeof log === 'function' ? log : () => {};
+    this.listeners = new Map();
+    this.reconfigure(config);
+  }
+
+  reconfigure(config = {}) {
+    const nextConfig = assertValidConfig(
+      { ...DEFAULT_ENGINE_CONFIG, ...config },
+      'PachinkoEngine config'
+    );
+
+    this.config = nextConfig;
+    this.launchStrength = clampStrength(nextConfig.launchStrength);
+    this.dataCounter = new DataCounter({
+      historyLimit: nextConfig.dataHistoryLimit,
+    });
+    this.slump = new SlumpSeries({ maxPoints: nextConfig.slumpMaxPoints });
+    this.reset();
+  }
+
+  setBoardLayout(boardLayout, pockets = this.config.pockets) {
+    this.config = assertValidConfig(
+      { ...this.config, boardLayout, pockets },
+      'PachinkoEngine config'
+    );
+  }
+
+  on(eventName, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for "${eventName}" must be a function.`);
+    }
+
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(handler);
+    return () => this.off(eventName, handler);
+  }
+
+  off(eventName, handler) {
+    const handlers = this.listeners.get(eventName);
+    if (!handlers) {
+      return;
+    }
+
+    if (handler === undefined) {
+      handlers.clear();
+    } else {
+      handlers.delete(handler);
+    }
+  }
+
+  emit(eventName, payload = {}) {
+    const handlers = this.listeners.get(eventName);
+    if (!handlers || handlers.size === 0) {
+      return;
+    }
+
+    const event = {
+      type: eventName,
+      ...payload,
+      timestamp: this.config.timestampProvider(),
+    };
+    [...handlers].forEach((handler) => {
+      handler(event);
+    });
+  }
+
+  changeCredits(delta, reason) {
+    const creditsBefore = this.credits;
+    this.credits += delta;
+    const change = { creditsBefore, creditsAfter: this.credits };
+    this.emit(GAME_EVENTS.CREDITS_CHANGED, { ...change, delta, reason });
+    return change;
+  }
+
+  reset({ seed } = {}) {
+    const creditsBefore = this.credits;
+    this.resetRandom(seed);
+    this.credits = this.config.initialCredits;
+    this.ballCount = 0;
+    this.lastOutcome = null;
+    this.mode = GAME_MODES.NORMAL;
+    this.nextMode = null;
+    this.spinsRemaining = 0;
+    this.currentRush = null;
+    this.lastRushSummary = null;
+    this.holdQueue = [];
+    this.isSpinning = false;
+    this.currentSpin = null;
+    this.attacker = null;
+    this.dataCounter.reset();
+    this.slump.reset(this.credits);
+
+    if (creditsBefore !== undefined && creditsBefore !== this.credits) {
+      this.emit(GAME_EVENTS.CREDITS_CHANGED, {
+        creditsBefore,
+        creditsAfter: this.credits,
+        delta: this.credits - creditsBefore,
+        reason: 'reset',
+      });
+    }
+    this.emit(GAME_EVENTS.RESET, { credits: this.credits, seed: this.seed });
+  }
+
+  resetRandom(seed = this.config.seed) {
+    const provider = this.config.randomProvider;
+    if (typeof provider === 'function') {
+      this.seed = null;
+      this.random = provider;
+      this.presentationRandom = provider;
+      return;
+    }
+
+    this.seed = normalizeSeed(seed) ?? createSeed();
+    this.random = createSeededRandom(this.seed);
+    this.presentationRandom = createSeededRandom(
+      deriveSeed(this.seed, 'presentation')
+    );
+  }
+
+  setLaunchStrength(value) {
+    this.launchStrength = clampStrength(value, this.launchStrength);
+    return this.launchStrength;
+  }
+
+  snapshot() {
+    return {
+      seed: this.seed,
+      launchStrength: this.launchStrength,
+      credits: this.credits,
+      ballCount: this.ballCount,
+      mode: this.mode,
+      nextMode: this.nextMode,
+      spinsRemaining: this.spinsRemaining,
+      isSpinning: this.isSpinning,
+      holdQueue: this.getHoldQueue(),
+      attacker: copyRecord(this.attacker),
+      lastOutcome: copyRecord(this.lastOutcome),
+      currentRush: copyRecord(this.currentRush),
+      lastRushSummary: copyRecord(this.lastRushSummary),
+      dataCounter: this.dataCounter.snapshot(),
+    };
+  }
+
+  serialize() {
+    const pending = this.currentSpin
+      ? [this.currentSpin, ...this.holdQueue]
+      : this.holdQueue;
+
+    return {
+      seed: this.seed,
+      randomState: this.random.getState?.() ?? null,
+      presentationRandomState: this.presentationRandom.getState?.() ?? null,
+      launchStrength: this.launchStrength,
+      credits: this.credits,
+      ballCount: this.ballCount,
+      mode: this.mode,
+      nextMode: this.nextMode,
+      spinsRemaining: this.spinsRemaining,
+      attacker: copyRecord(this.attacker),
+      lastOutcome: copyRecord(this.lastOutcome),
+      currentRush: copyRecord(this.currentRush),
+      lastRushSummary: copyRecord(this.lastRushSummary),
+      dataCounter: this.dataCounter.serialize(),
+      slump: this.slump.serialize(),
+      holdQueue: pending.map(({ pocket, outcome, notice }) => ({
+        pocketId: pocket.id,
+        outcome: { ...outcome },
+        notice: notice ?? null,
+      })),
+    };
+  }
+
+  restore(state) {
+    const modes = Object.values(GAME_MODES);
+    if (
+      !state ||
+      !Number.isFinite(state.credits) ||
+      !isCount(state.ballCount) ||
+      !isCount(state.spinsRemaining) ||
+      !modes.includes(state.mode) ||
+      (state.nextMode !== null && !modes.includes(state.nextMode)) ||
+      !Array.isArray(state.holdQueue) ||
+      ((state.attacker ?? null) !== null && !isAttackerState(state.attacker))
+    ) {
+      throw new Error('Saved engine state is malformed.');
+    }
+
+    const holdQueue = state.holdQueue.map(({ pocketId, outcome, notice }) => {
+      const pocket = this.config.pockets.find(({ id }) => id === pocketId);
+      if (!pocket || !outcome) {
+        throw new Error(`Saved hold refers to unknown pocket: ${pocketId}.`);
+      }
+      return { pocket, outcome: { ...outcome }, notice: notice ?? null };
+    });
+    const dataCounter = new DataCounter({
+      historyLimit: this.config.dataHistoryLimit,
+    });
+    dataCounter.restore(state.dataCounter);
+    const slump = new SlumpSeries({ maxPoints: this.config.slumpMaxPoints });
+    if (state.slump) {
+      slump.restore(state.slump);
+    } else {
+      slump.reset(state.credits);
+    }
+
+    const creditsBefore = this.credits;
+    this.resetRandom(state.seed ?? undefined);
+    if (this.seed !== null) {
+      this.random = createSeededRandom(this.seed, {
+        state: state.randomState,
+      });
+      this.presentationRandom = createSeededRandom(
+        deriveSeed(this.seed, 'presentation'),
+        { state: state.presentationRandomState }
+      );
+    }
+
+    this.launchStrength = clampStrength(
+      state.launchStrength,
+      this.launchStrength
+    );
+    this.credits = state.credits;
+    this.ballCount = state.ballCount;
+    this.mode = state.mode;
+    this.nextMode = state.nextMode;
+    this.spinsRemaining = state.spinsRemaining;
+    this.lastOutcome = copyRecord(state.lastOutcome);
+    this.currentRush = copyRecord(state.currentRush);
+    this.lastRushSummary = copyRecord(state.lastRushSummary);
+    this.holdQueue = holdQueue;
+    this.attacker =
+      state.mode === GAME_MODES.BIG_HIT ? copyRecord(state.attacker) : null;
+    this.dataCounter = dataCounter;
+    this.slump = slump;
+    this.isSpinning = false;
+    this.currentSpin = null;
+
+    if (creditsBefore !== this.credits) {
+      this.emit(GAME_EVENTS.CREDITS_CHANGED, {
+        creditsBefore,
+        creditsAfter: this.credits,
+        delta: this.credits - creditsBefore,
+        reason: 'restore',
+      });
+    }
+  }
+
+  getHoldLimit() {
+    return Math.max(0, Math.floor(this.config.holdLimit ?? 0));
+  }
+
+  getHoldQueue() {
+    return this.holdQueue.map((entry) => ({ ...entry }));
+  }
+
+  getAttackerBallsPerRound() {
+    return Math.max(1, Math.floor(this.config.attackerBallsPerRound ?? 1));
+  }
+
+  findPocket(pocketId) {
+    if (pocketId === ATTACKER_POCKET.id) {
+      return ATTACKER_POCKET;
+    }
+    return this.config.pockets.find(({ id }) => id === pocketId) ?? null;
+  }
+
+  shoot({ strength } = {}) {
+    if (strength !== undefined) {
+      this.setLaunchStrength(strength);
+    }
+
+    if (this.mode === GAME_MODES.BIG_HIT && !this.attacker) {
+      this.finishBigHit();
+      this.runSpins();
+    }
+
+    const launched = this.launchBall();
+    if (!launched) {
+      return null;
+    }
+
+    const landing = this.landBall(launched.pocket);
+    this.runSpins();
+
+    return {
+      ...launched,
+      status: landing.status,
+      outcome: this.lastOutcome,
+    };
+  }
+
+  runSpins() {
+    while (this.isSpinning) {
+      this.completeSpin();
+      this.startNextSpin();
+    }
+  }
+
+  launchBall() {
+    const { ballCost } = this.getModeRates();
+    if (this.credits < ballCost) {
+      return null;
+    }
+
+    this.ballCount += 1;
+    const change = this.changeCredits(-ballCost, 'shot');
+    this.emit(GAME_EVENTS.SHOT, {
+      ballCount: this.ballCount,
+      ballCost,
+      strength: this.launchStrength,
+      mode: this.mode,
+      ...change,
+    });
+
+    const { pocket, path } = this.attacker
+      ? { pocket: ATTACKER_POCKET, path: null }
+      : this.pickLanding();
+    return { pocket, path, ballCost, strength: this.launchStrength };
+  }
+
+  getSlumpSeries() {
+    return this.slump.getPoints();
+  }
+
+  landBall(pocket) {
+    const prizeBalls = getPrizeBalls(pocket);
+    if (prizeBalls > 0) {
+      this.changeCredits(prizeBalls, 'prize');
+    }
+    const landing = this.resolveLanding(pocket, prizeBalls);
+    this.slump.record({ ball: this.ballCount, credits: this.credits });
+    this.emit(GAME_EVENTS.POCKET, {
+      pocketId: pocket.id,
+      label: pocket.label,
+      status: landing.status,
+      prizeBalls,
+      holdCount: this.holdQueue.length,
+      mode: this.mode,
+    });
+    return landing;
+  }
+
+  resolveLanding(pocket, prizeBalls = 0) {
+    if (pocket.isOut) {
+      const outcome = { isWin: false, reward: 0, isRush: false };
+      this.lastOutcome = outcome;
+      this.log(`${pocket.label}・・・玉は盤面の外へ流れました。`);
+      return { status: LANDING_STATUS.OUT, pocket, outcome };
+    }
+
+    if (pocket.isAttacker) {
+      return this.enterAttacker(pocket);
+    }
+
+    const prize = prizeBalls > 0 ? `、賞球${prizeBalls}個` : '';
+    if (!isLotteryPocket(pocket)) {
+      const outcome = this.resolvePocketOutcome(pocket);
+      this.lastOutcome = outcome;
+      this.log(
+        prizeBalls > 0
+          ? `${pocket.label}に入賞${prize}`
+          : `${pocket.label}・・・残念！`
+      );
+      return { status: LANDING_STATUS.MISS, pocket, outcome };
+    }
+
+    if (
+      this.isSpinning ||
+      this.holdQueue.length > 0 ||
+      this.mode === GAME_MODES.BIG_HIT
+    ) {
+      if (this.holdQueue.length >= this.getHoldLimit()) {
+        this.log(`${pocket.label}に入賞${prize}、保留満タンのため無効です。`);
+        return { status: LANDING_STATUS.OVERFLOW, pocket };
+      }
+
+      const entry = { pocket, outcome: this.resolvePocketOutcome(pocket) };
+      this.holdQueue.push(entry);
+      this.log(
+        `${pocket.label}に入賞${prize}、保留${this.holdQueue.length}個目`
+      );
+      return { status: LANDING_STATUS.HOLD, pocket, entry };
+    }
+
+    if (prizeBalls > 0) {
+      this.log(`${pocket.label}に入賞${prize}`);
+    }
+
+    const entry = { pocket, outcome: this.resolvePocketOutcome(pocket) };
+    this.isSpinning = true;
+    this.currentSpin = entry;
+    return { status: LANDING_STATUS.SPIN, pocket, entry };
+  }
+
+  enterAttacker(pocket) {
+    const { attacker } = this;
+    if (!attacker) {
+      const outcome = { isWin: false, reward: 0, isRush: false };
+      this.lastOutcome = outcome;
+      this.log(`${pocket.label}は閉じています。`);
+      return { status: LANDING_STATUS.MISS, pocket, outcome };
+    }
+
+    const payout = Math.max(0, Math.floor(this.config.attackerPayout ?? 0));
+    const { round } = attacker;
+    attacker.roundBalls += 1;
+    attacker.roundPayout += payout;
+    attacker.payout += payout;
+    if (payout > 0) {
+      this.changeCredits(payout, 'attacker');
+    }
+    if (this.currentRush) {
+      this.currentRush.payout += payout;
+    }
+    this.dataCounter.recordPayout(payout);
+
+    const ballsPerRound = this.getAttackerBallsPerRound();
+    this.log(
+      `${pocket.label}に入賞 ${round}R ${attacker.roundBalls}/${ballsPerRound}個 +${payout}`
+    );
+    if (attacker.roundBalls >= ballsPerRound) {
+      this.closeAttackerRound('count');
+    }
+    return { status: LANDING_STATUS.ATTACKER, pocket, round, payout };
+  }
+
+  expireAttackerRound() {
+    return this.closeAttackerRound('time');
+  }
+
+  closeAttackerRound(reason) {
+    const { attacker } = this;
+    if (!attacker) {
+      return null;
+    }
+
+    const summary = {
+      round: attacker.round,
+      rounds: attacker.rounds,
+      balls: attacker.roundBalls,
+      payout: attacker.roundPayout,
+      totalPayout: attacker.payout,
+      reason,
+    };
+    const isLast = attacker.round >= attacker.rounds;
+    this.log(
+      `${summary.round}R終了 (${reason === 'time' ? '時間切れ / ' : ''}${
+        summary.balls
+      }個 / +${summary.payout})${isLast ? ` 総出玉${summary.totalPayout}` : ''}`
+    );
+    this.emit(GAME_EVENTS.ROUND_END, summary);
+
+    if (isLast) {
+      this.finishBigHit();
+    } else {
+      attacker.round += 1;
+      attacker.roundBalls = 0;
+      attacker.roundPayout = 0;
+    }
+    return summary;
+  }
+
+  startNextSpin() {
+    if (
+      this.isSpinning ||
+      this.mode === GAME_MODES.BIG_HIT ||
+      this.holdQueue.length === 0
+    ) {
+      return null;
+    }
+
+    this.isSpinning = true;
+    this.currentSpin = this.holdQueue.shift();
+    return this.currentSpin;
+  }
+
+  completeSpin() {
+    const entry = this.currentSpin;
+    if (!entry) {
+      return null;
+    }
+
+    const { pocket, outcome } = entry;
+    const previousMode = this.mode;
+    const change =
+      outcome.reward > 0 ? this.changeCredits(outcome.reward, 'payout') : null;
+
+    this.isSpinning = false;
+    this.currentSpin = null;
+    this.lastOutcome = outcome;
+    this.dataCounter.recordSpin({
+      pocket,
+      outcome,
+      inRush: previousMode === GAME_MODES.RUSH,
+    });
+    this.slump.countSpin();
+    this.consumeModeSpin();
+
+    if (outcome.isWin) {
+      this.slump.record({
+        ball: this.ballCount,
+        credits: this.credits,
+        marker:
+          outcome.isRush && previousMode !== GAME_MODES.RUSH
+            ? SLUMP_MARKERS.RUSH
+            : SLUMP_MARKERS.WIN,
+      });
+      this.startBigHit(outcome);
+      const gain = formatWinReward(outcome);
+      if (previousMode === GAME_MODES.RUSH) {
+        this.log(
+          outcome.isRush
+            ? `${pocket.label}でRUSH中の大当たり！継続、${gain}！`
+            : `${pocket.label}でRUSH中の大当たり！${gain}、RUSH最終です。`
+        );
+      } else if (outcome.isRush) {
+        this.log(`${pocket.label}で大当たり！RUSH突入、${gain}！`);
+      } else {
+        const size = formatWinReward(outcome, '枚');
+        this.log(`${pocket.label}が発動！ ${size}の当たりです。`);
+      }
+      this.emit(GAME_EVENTS.WIN, {
+        pocketId: pocket.id,
+        label: pocket.label,
+        reward: outcome.reward,
+        rounds: outcome.rounds ?? 0,
+        isRush: outcome.isRush,
+        mode: previousMode,
+        nextMode: this.nextMode,
+        creditsBefore: change?.creditsBefore ?? this.credits,
+        creditsAfter: change?.creditsAfter ?? this.credits,
+      });
+    } else {
+      this.log(`${pocket.label}・・・残念！`);
+      if (COUNTED_MODES.has(this.mode) && this.spinsRemaining <= 0) {
+        this.exitMode();
+      }
+    }
+
+    return entry;
+  }
+
+  getModeRates(mode = this.mode) {
+    return getModeRates(this.config, mode);
+  }
+
+  consumeModeSpin() {
+    if (!COUNTED_MODES.has(this.mode)) {
+      return;
+    }
+
+    this.spinsRemaining = Math.max(0, this.spinsRemaining - 1);
+    if (this.mode === GAME_MODES.RUSH && this.currentRush) {
+      this.currentRush.spins += 1;
+    }
+  }
+
+  startBigHit(outcome) {
+    const previousMode = this.mode;
+    if (this.currentRush) {
+      this.currentRush.hits += 1;
+      this.currentRush.payout += outcome.reward;
+    }
+
+    this.mode = GAME_MODES.BIG_HIT;
+    this.attacker = outcome.rounds > 0 ? createAttacker(outcome.rounds) : null;
+    if (outcome.isRush) {
+      this.nextMode = GAME_MODES.RUSH;
+    } else if (previousMode === GAME_MODES.RUSH) {
+      this.nextMode = GAME_MODES.NORMAL;
+    } else {
+      this.nextMode = this.drawPostHitMode();
+    }
+
+    const title = this.attacker
+      ? `大当たり開始 ${this.attacker.rounds}R`
+      : '大当たり開始';
+    this.log(
+      this.nextMode === GAME_MODES.NORMAL
+        ? title
+        : `${title} (終了後${MODE_LABELS[this.nextMode]})`
+    );
+  }
+
+  drawPostHitMode() {
+    const kakuhenRate = clampRate(this.config.kakuhenRate);
+    if (kakuhenRate > 0 && this.getRandom() < kakuhenRate) {
+      return GAME_MODES.KAKUHEN;
+    }
+
+    if (Math.floor(this.config.jitanSpins ?? 0) > 0) {
+      return GAME_MODES.JITAN;
+    }
+
+    return GAME_MODES.NORMAL;
+  }
+
+  finishBigHit() {
+    const nextMode = this.nextMode ?? GAME_MODES.NORMAL;
+    this.nextMode = null;
+    this.attacker = null;
+    this.log('大当たり終了');
+
+    if (nextMode !== GAME_MODES.RUSH && this.currentRush) {
+      this.exitRush();
+    }
+    this.enterMode(nextMode);
+  }
+
+  enterMode(mode) {
+    if (mode === GAME_MODES.RUSH) {
+      this.enterRush();
+      return;
+    }
+
+    this.mode = mode;
+    this.spinsRemaining = 0;
+
+    if (mode === GAME_MODES.KAKUHEN) {
+      this.log('確変突入！ 次回大当たりまで確率アップ');
+    } else if (mode === GAME_MODES.JITAN) {
+      const spins = Math.max(0, Math.floor(this.config.jitanSpins ?? 0));
+      if (spins <= 0) {
+        this.mode = GAME_MODES.NORMAL;
+        return;
+      }
+      this.spinsRemaining = spins;
+      this.log(`時短突入！ 残り${spins}回転`);
+    }
+  }
+
+  enterRush() {
+    const spins = Math.max(0, Math.floor(this.config.rushSpins ?? 0));
+    if (spins <= 0) {
+      this.mode = GAME_MODES.NORMAL;
+      return;
+    }
+
+    const isContinuation = Boolean(this.currentRush);
+    if (!isContinuation) {
+      this.currentRush = createRushRecord(this.ballCount);
+      this.dataCounter.recordRushEntry();
+    }
+
+    this.mode = GAME_MODES.RUSH;
+    this.spinsRemaining = spins;
+    this.log(
+      isContinuation
+        ? `RUSH継続！ 残り${spins}回転`
+        : `RUSH突入！ 残り${spins}回転`
+    );
+    if (!isContinuation) {
+      this.emit(GAME_EVENTS.RUSH_START, {
+        startBall: this.currentRush.startBall,
+        spins,
+      });
+    }
+  }
+
+  exitMode() {
+    if (this.mode === GAME_MODES.RUSH) {
+      this.exitRush();
+      return;
+    }
+
+    if (this.mode === GAME_MODES.JITAN) {
+      this.log('時短終了');
+    }
+    this.mode = GAME_MODES.NORMAL;
+    this.spinsRemaining = 0;
+  }
+
+  exitRush() {
+    const summary = this.currentRush ?? createRushRecord(this.ballCount);
+    this.mode = GAME_MODES.NORMAL;
+    this.spinsRemaining = 0;
+    this.currentRush = null;
+    this.lastRushSummary = { ...summary, endBall: this.ballCount };
+    this.log(
+      `RUSH終了 (${summary.spins}回転 / 大当たり${summary.hits}回 / 獲得${summary.payout})`
+    );
+    this.emit(GAME_EVENTS.RUSH_END, { ...this.lastRushSummary });
+  }
+
+  resolvePocketOutcome(pocket) {
+    if (!isLotteryPocket(pocket)) {
+      return { isWin: false, reward: 0, isRush: false };
+    }
+
+    const inRush = this.mode === GAME_MODES.RUSH;
+    const { hitRate, rushRate } = this.getModeRates();
+
+    if (hitRate <= 0) {
+      return { isWin: false, reward: 0, isRush: false };
+    }
+
+    const hitRoll = this.getRandom();
+    if (hitRoll >= hitRate) {
+      return { isWin: false, reward: 0, isRush: false };
+    }
+
+    const rushRoll = this.getRandom();
+    const isRush = rushRoll < rushRate;
+    const rounds = getPocketRounds(pocket, isRush || inRush);
+    if (rounds > 0) {
+      return { isWin: true, isRush, reward: 0, rounds };
+    }
+
+    return {
+      isWin: true,
+      isRush,
+      reward: getPocketReward(
+        pocket,
+        isRush || inRush,
+        this.config.rushRewardMultiplier
+      ),
+    };
+  }
+
+  pickLanding() {
+    if (this.config.trajectory !== TRAJECTORY_MODES.PHYSICS) {
+      return { pocket: this.pickPocket(), path: null };
+    }
+
+    const layout = this.config.boardLayout;
+    const path = simulateTrajectory(layout, {
+      random: () => this.getRandom(),
+      strength: this.launchStrength,
+    });
+    return {
+      pocket: resolveLandingPocket(this.config.pockets, layout, path),
+      path,
+    };
+  }
+
+  pickPocket() {
+    const pockets = this.config.pockets;
+    const { startBoost } = this.getModeRates();
+    const weights = pockets.map((pocket) => {
+      const weight = getStrengthWeight(pocket, this.launchStrength);
+      return isLotteryPocket(pocket) ? weight * startBoost : weight;
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (totalWeight <= 0) {
+      return pockets[0];
+    }
+
+    const randomValue = this.getRandom() * totalWeight;
+    let cumulative = 0;
+
+    for (let index = 0; index < pockets.length; index += 1) {
+      cumulative += weights[index];
+      if (randomValue < cumulative) {
+        return pockets[index];
+      }
+    }
+
+    return pockets[pockets.length - 1];
+  }
+
+  getRandom() {
+    return toUnitInterval(this.random());
+  }
+
+  getPresentationRandom() {
+    return toUnitInterval(this.presentationRandom());
+  }
+}
@@ -0,0 +1,486 @@
+import { assertValidConfig } from './config-validation.js';
+import {
+  COUNTED_MODES,
+  DEFAULT_ENGINE_CONFIG,
+  GAME_MODES,
+  MODE_LABELS,
+  getModeRates,
+  getPocketReward,
+  getPocketRounds,
+  getPrizeBalls,
+  isLotteryPocket,
+} from './engine.js';
+import { clampStrength, getStrengthWeight } from './launch.js';
+
+const CHAIN_MODES = [
+  GAME_MODES.NORMAL,
+  GAME_MODES.KAKUHEN,
+  GAME_MODES.JITAN,
+  GAME_MODES.RUSH,
+];
+
+function clampRate(value) {
+  return Math.max(0, Math.min(1, value ?? 0));
+}
+
+function describeWin(pocket, isRush, config) {
+  const rounds = getPocketRounds(pocket, isRush);
+  if (rounds > 0) {
+    const balls =
+      rounds * Math.max(1, Math.floor(config.attackerBallsPerRound ?? 1));
+    const payout = Math.max(0, Math.floor(config.attackerPayout ?? 0));
+    return { payout: balls * payout, attackerBalls: balls };
+  }
+
+  return {
+    payout: getPocketReward(pocket, isRush, config.rushRewardMultiplier),
+    attackerBalls: 0,
+  };
+}
+
+function getLandingProbabilities(pockets, weights, startBoost) {
+  const boosted = pockets.map((pocket, index) =>
+    isLotteryPocket(pocket) ? weights[index] * startBoost : weights[index]
+  );
+  const total = boosted.reduce((sum, weight) => sum + weight, 0);
+  return boosted.map((weight, index) =>
+    total > 0 ? weight / total : index === 0 ? 1 : 0
+  );
+}
+
+function getModeSpins(config, mode) {
+  if (mode === GAME_MODES.RUSH) {
+    return Math.max(0, Math.floor(config.rushSpins ?? 0));
+  }
+  if (mode === GAME_MODES.JITAN) {
+    return Math.max(0, Math.floor(config.jitanSpins ?? 0));
+  }
+  return Infinity;
+}
+
+function averageWin(pockets, probabilities, lotteryShare, isRush, config) {
+  return pockets.reduce(
+    (total, pocket, index) => {
+      if (!isLotteryPocket(pocket) || probabilities[index] <= 0) {
+        return total;
+      }
+      const share = probabilities[index] / lotteryShare;
+      const win = describeWin(pocket, isRush, config);
+      return {
+        payout: total.payout + share * win.payout,
+        attackerBalls: total.attackerBalls + share * win.attackerBalls,
+      };
+    },
+    { payout: 0, attackerBalls: 0 }
+  );
+}
+
+// One visit lasts from entering a mode until its next big hit, or until its
+// counted spins run out.
+function describeVisit(mode, config, weights) {
+  const { pockets } = config;
+  const rates = getModeRates(config, mode);
+  const probabilities = getLandingProbabilities(
+    pockets,
+    weights,
+    rates.startBoost
+  );
+  const lotteryShare = pockets.reduce(
+    (total, pocket, index) =>
+      total + (isLotteryPocket(pocket) ? probabilities[index] : 0),
+    0
+  );
+  const prizePerBall = pockets.reduce(
+    (total, pocket, index) =>
+      total + probabilities[index] * getPrizeBalls(pocket),
+    0
+  );
+  const limit = getModeSpins(config, mode);
+  const missAll =
+    limit === Infinity
+      ? rates.hitRate > 0
+        ? 0
+        : 1
+      : (1 - rates.hitRate) ** limit;
+  const hit = 1 - missAll;
+  const visit = {
+    mode,
+    ballCost: rates.ballCost,
+    prizePerBall,
+    hit,
+    rushHit: hit * rates.rushRate,
+    plainHit: hit * (1 - rates.rushRate),
+    stuck: lotteryShare <= 0 || (limit === Infinity && hit <= 0),
+  };
+  if (visit.stuck) {
+    return visit;
+  }
+
+  const inRush = mode === GAME_MODES.RUSH;
+  const rushWin = averageWin(
+    pockets,
+    probabilities,
+    lotteryShare,
+    true,
+    config
+  );
+  const plainWin = averageWin(
+    pockets,
+    probabilities,
+    lotteryShare,
+    inRush,
+    config
+  );
+  const spins = rates.hitRate > 0 ? hit / rates.hitRate : limit;
+  const shots = spins / lotteryShare;
+  const attackerBalls =
+    visit.rushHit * rushWin.attackerBalls +
+    visit.plainHit * plainWin.attackerBalls;
+
+  return {
+    ...visit,
+    spins,
+    balls: shots + attackerBalls,
+    cost: shots * rates.ballCost + attackerBalls * config.ballCost,
+    payout:
+      shots * prizePerBall +
+      visit.rushHit * rushWin.payout +
+      visit.plainHit * plainWin.payout,
+  };
+}
+
+function getPostHitModes(config) {
+  const kakuhenRate = clampRate(config.kakuhenRate);
+  const fallback =
+    getModeSpins(config, GAME_MODES.JITAN) > 0
+      ? GAME_MODES.JITAN
+      : GAME_MODES.NORMAL;
+  return [
+    [GAME_MODES.KAKUHEN, kakuhenRate],
+    [fallback, 1 - kakuhenRate],
+  ];
+}
+
+function getVisitTransitions(visit, config) {
+  const plain =
+    visit.mode === GAME_MODES.RUSH
+      ? [[GAME_MODES.NORMAL, visit.plainHit]]
+      : getPostHitModes(config).map(([mode, rate]) => [
+          mode,
+          visit.plainHit * rate,
+        ]);
+  const expired = COUNTED_MODES.has(visit.mode) ? GAME_MODES.NORMAL : null;
+  return {
+    rush:
+      getModeSpins(config, GAME_MODES.RUSH) > 0
+        ? GAME_MODES.RUSH
+        : GAME_MODES.NORMAL,
+    next: [...plain, ...(expired ? [[expired, 1 - visit.hit]] : [])].filter(
+      ([, rate]) => rate > 0
+    ),
+  };
+}
+
+function solveLinearSystem(matrix, values) {
+  const size = values.length;
+  const rows = matrix.map((row, index) => [...row, values[index]]);
+
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) {
+      return null;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < size; row += 1) {
+      const factor = rows[row][column] / rows[column][column];
+      if (row === column || factor === 0) {
+        continue;
+      }
+      for (let index = column; index <= size; index += 1) {
+        rows[row][index] -= factor * rows[column][index];
+      }
+    }
+  }
+
+  return rows.map((row, index) => row[size] / row[index]);
+}
+
+function findReachableModes(visits, transitions) {
+  const reachable = [GAME_MODES.NORMAL];
+  for (let index = 0; index < reachable.length; index += 1) {
+    const mode = reachable[index];
+    if (visits.get(mode).stuck) {
+      continue;
+    }
+    const { rush, next } = transitions.get(mode);
+    const targets = [
+      ...(visits.get(mode).rushHit > 0 ? [rush] : []),
+      ...next.map(([target]) => target),
+    ];
+    targets.forEach((target) => {
+      if (!reachable.includes(target)) {
+        reachable.push(target);
+      }
+    });
+  }
+  return reachable;
+}
+
+// Spins and balls until the first RUSH win, starting from normal mode.
+function solveFirstRush(modes, visits, transitions) {
+  const transient = modes.filter((mode) => mode !== GAME_MODES.RUSH);
+  if (transient.some((mode) => visits.get(mode).stuck)) {
+    return { spins: Infinity, balls: Infinity };
+  }
+
+  const matrix = transient.map((mode) =>
+    transient.map((target) =>
+      transitions
+        .get(mode)
+        .next.filter(([next]) => next === target)
+        .reduce((total, [, rate]) => total - rate, mode === target ? 1 : 0)
+    )
+  );
+  const solve = (key) =>
+    solveLinearSystem(
+      matrix,
+      transient.map((mode) => visits.get(mode)[key])
+    )?.[0] ?? Infinity;
+  return { spins: solve('spins'), balls: solve('balls') };
+}
+
+// Long-run share of visits to each mode, the stationary distribution of the
+// visit chain.
+function solveVisitShares(modes, visits, transitions) {
+  const matrix = modes.map((target, row) =>
+    row === 0
+      ? modes.map(() => 1)
+      : modes.map((mode) => {
+          const visit = visits.get(mode);
+          const { rush, next } = transitions.get(mode);
+          const rate =
+            (rush === target ? visit.rushHit : 0) +
+            next
+              .filter(([next]) => next === target)
+              .reduce((total, [, value]) => total + value, 0);
+          return rate - (mode === target ? 1 : 0);
+        })
+  );
+  return solveLinearSystem(
+    matrix,
+    modes.map((_, index) => (index === 0 ? 1 : 0))
+  );
+}
+
+function analyzeModeChain(config, weights) {
+  const visits = new Map(
+    CHAIN_MODES.map((mode) => [mode, describeVisit(mode, config, weights)])
+  );
+  const transitions = new Map(
+    [...visits.values()].map((visit) => [
+      visit.mode,
+      getVisitTransitions(visit, config),
+    ])
+  );
+  const reachable = findReachableModes(visits, transitions);
+  const modes = CHAIN_MODES.filter((mode) => reachable.includes(mode));
+  const firstRush = solveFirstRush(modes, visits, transitions);
+  const stuck = modes.filter((mode) => visits.get(mode).stuck);
+
+  if (stuck.length > 0) {
+    const visit = visits.get(stuck[0]);
+    return {
+      ...firstRush,
+      payoutRate:
+        stuck.length === 1 && visit.ballCost > 0
+          ? visit.prizePerBall / visit.ballCost
+          : null,
+      spinShares: null,
+    };
+  }
+
+  const shares = solveVisitShares(modes, visits, transitions);
+  const total = (key) =>
+    modes.reduce(
+      (sum, mode, index) => sum + shares[index] * visits.get(mode)[key],
+      0
+    );
+  const cost = total('cost');
+  const spins = total('spins');
+  return {
+    ...firstRush,
+    payoutRate: cost > 0 ? total('payout') / cost : null,
+    spinShares: Object.fromEntries(
+      modes.map((mode, index) => [
+        mode,
+        spins > 0 ? (shares[index] * visits.get(mode).spins) / spins : 0,
+      ])
+    ),
+  };
+}
+
+function getDisplayWidth(text) {
+  return [...text].reduce(
+    (width, char) => width + (char.codePointAt(0) > 0xff ? 2 : 1),
+    0
+  );
+}
+
+export function calculateExpectedValue(config = {}) {
+  const merged = assertValidConfig(
+    { ...DEFAULT_ENGINE_CONFIG, ...config },
+    'expected value config'
+  );
+  const strength = clampStrength(merged.launchStrength);
+  const hitRate = clampRate(merged.hitRate);
+  const rushRate = clampRate(merged.rushRate);
+  const weights = merged.pockets.map((pocket) =>
+    getStrengthWeight(pocket, strength)
+  );
+  const probabilities = getLandingProbabilities(merged.pockets, weights, 1);
+
+  const pockets = merged.pockets.map((pocket, index) => {
+    const probability = probabilities[index];
+    const lottery = isLotteryPocket(pocket);
+    const prizeBalls = getPrizeBalls(pocket);
+    const hitProbability = lottery ? probability * hitRate : 0;
+    const rushProbability = hitProbability * rushRate;
+    const normalWin = describeWin(pocket, false, merged);
+    const rushWin = describeWin(pocket, true, merged);
+    const normalProbability = hitProbability - rushProbability;
+
+    return {
+      id: pocket.id,
+      label: pocket.label ?? pocket.id,
+      weight: weights[index],
+      probability,
+      lottery,
+      prizeBalls,
+      hitProbability,
+      rushProbability,
+      expectedPrize: probability * prizeBalls,
+      expectedReward:
+        normalProbability * normalWin.payout + rushProbability * rushWin.payout,
+      expectedAttackerBalls:
+        normalProbability * normalWin.attackerBalls +
+        rushProbability * rushWin.attackerBalls,
+    };
+  });
+
+  const sum = (key) =>
+    pockets.reduce((total, pocket) => total + pocket[key], 0);
+  const lotteryProbability = pockets
+    .filter((pocket) => pocket.lottery)
+    .reduce((total, pocket) => total + pocket.probability, 0);
+  const hitProbability = sum('hitProbability');
+  const rushProbability = sum('rushProbability');
+  const expectedPayout = sum('expectedPrize') + sum('expectedReward');
+  const expectedCost = merged.ballCost * (1 + sum('expectedAttackerBalls'));
+  const chain = analyzeModeChain(merged, weights);
+
+  return {
+    strength,
+    hitRate,
+    rushRate,
+    pockets,
+    lotteryProbability,
+    hitProbability,
+    rushProbability,
+    expectedPrize: sum('expectedPrize'),
+    expectedReward: sum('expectedReward'),
+    expectedPayout,
+    expectedCost,
+    normalPayoutRate: expectedCost > 0 ? expectedPayout / expectedCost : null,
+    payoutRate: chain.payoutRate,
+    spinShares: chain.spinShares,
+    expectedSpinsToRush: chain.spins,
+    expectedBallsToRush: chain.balls,
+  };
+}
+
+function formatPercent(value, digits = 2) {
+  return `${(value * 100).toFixed(digits)}%`;
+}
+
+function formatRate(value) {
+  return value === null ? '-' : formatPercent(value);
+}
+
+function formatOdds(probability) {
+  return probability > 0 ? `1/${(1 / probability).toFixed(1)}` : '-';
+}
+
+function formatCount(value) {
+  return Number.isFinite(value) ? value.toFixed(1) : '∞';
+}
+
+export function formatExpectedValueTable(analysis) {
+  const header = [
+    '入賞率',
+    '賞球',
+    '当たり/玉',
+    'RUSH/玉',
+    '期待出玉/玉',
+    'ポケット',
+  ];
+  const rows = analysis.pockets.map((pocket) => [
+    formatPercent(pocket.probability),
+    String(pocket.prizeBalls),
+    pocket.lottery ? formatOdds(pocket.hitProbability) : '抽選なし',
+    pocket.lottery ? formatOdds(pocket.rushProbability) : '-',
+    (pocket.expectedPrize + pocket.expectedReward).toFixed(4),
+    pocket.label,
+  ]);
+  const widths = header.map((_, column) =>
+    Math.max(...[header, ...rows].map((row) => getDisplayWidth(row[column])))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) =>
+        column === row.length - 1
+          ? cell
+          : `${' '.repeat(widths[column] - getDisplayWidth(cell))}${cell}`
+      )
+      .join(' | ');
+
+  return [
+    `発射の強さ: ${analysis.strength} / 大当たり確率 ${formatOdds(
+      analysis.hitRate
+    )} / RUSH突入率 ${formatPercent(analysis.rushRate, 1)}`,
+    formatRow(header),
+    ...rows.map(formatRow),
+    '',
+    `通常時の1玉あたり: 抽選 ${formatPercent(
+      analysis.lotteryProbability
+    )} / 大当たり ${formatOdds(analysis.hitProbability)} / RUSH ${formatOdds(
+      analysis.rushProbability
+    )}`,
+    `通常時の1玉あたりの期待値: 払い出し ${analysis.expectedPayout.toFixed(
+      4
+    )} (賞球 ${analysis.expectedPrize.toFixed(
+      4
+    )} / 大当たり ${analysis.expectedReward.toFixed(
+      4
+    )}) / 投入 ${analysis.expectedCost.toFixed(4)}`,
+    `通常時の出玉率: ${formatRate(analysis.normalPayoutRate)}`,
+    `回転の内訳: ${
+      analysis.spinShares
+        ? Object.entries(analysis.spinShares)
+            .map(
+              ([mode, share]) => `${MODE_LABELS[mode]} ${formatPercent(share)}`
+            )
+            .join(' / ')
+        : '-'
+    }`,
+    `理論出玉率: ${formatRate(analysis.payoutRate)}`,
+    `初RUSHまでの期待回転数: ${formatCount(
+      analysis.expectedSpinsToRush
+    )}回転 (${formatCount(analysis.expectedBallsToRush)}発)`,
+  ].join('\n');
+}
@@ -0,0 +1,158 @@
+import { PachinkoEngine, isLotteryPocket } from './engine.js';
+import { calculateExpectedValue } from './expected-value.js';
+import { createSeed, createSeededRandom, normalizeSeed } from './random.js';
+import { binomialInterval, chiSquareTest } from './statistics.js';
+
+export const DEFAULT_AUDIT_DRAWS = 100000;
+export const DEFAULT_SIGNIFICANCE = 0.01;
+
+function createRangeRecorder(source) {
+  const range = { values: 0, outOfRange: 0, min: null, max: null };
+  const provider = () => {
+    const value = source();
+    range.values += 1;
+    if (!(value >= 0 && value < 1)) {
+      range.outOfRange += 1;
+    }
+    range.min = range.min === null ? value : Math.min(range.min, value);
+    range.max = range.max === null ? value : Math.max(range.max, value);
+    return value;
+  };
+  return { range, provider };
+}
+
+function checkRate(successes, trials, expected, confidence) {
+  const interval = binomialInterval(successes, trials, confidence);
+  return {
+    successes,
+    trials,
+    expected,
+    observed: trials > 0 ? successes / trials : null,
+    interval,
+    passed: expected >= interval.low && expected <= interval.high,
+  };
+}
+
+export function auditFairness(
+  config = {},
+  {
+    draws = DEFAULT_AUDIT_DRAWS,
+    significance = DEFAULT_SIGNIFICANCE,
+    seed = null,
+    randomProvider = config.randomProvider ?? null,
+  } = {}
+) {
+  if (!Number.isInteger(draws) || draws < 1) {
+    throw new Error('draws must be a positive integer.');
+  }
+  if (!(significance > 0 && significance < 1)) {
+    throw new Error('significance must be between 0 and 1.');
+  }
+
+  const resolvedSeed = randomProvider
+    ? null
+    : normalizeSeed(seed) ?? createSeed();
+  const { range, provider } = createRangeRecorder(
+    randomProvider ?? createSeededRandom(resolvedSeed)
+  );
+  const engine = new PachinkoEngine({ ...config, randomProvider: provider });
+  const analysis = calculateExpectedValue({ ...config, randomProvider });
+  const pockets = engine.config.pockets;
+  const counts = pockets.map(() => 0);
+  let lotteryDraws = 0;
+  let hits = 0;
+  let rushHits = 0;
+
+  for (let draw = 0; draw < draws; draw += 1) {
+    const pocket = engine.pickPocket();
+    counts[pockets.indexOf(pocket)] += 1;
+    if (!isLotteryPocket(pocket)) {
+      continue;
+    }
+
+    lotteryDraws += 1;
+    const outcome = engine.resolvePocketOutcome(pocket);
+    if (outcome.isWin) {
+      hits += 1;
+      rushHits += outcome.isRush ? 1 : 0;
+    }
+  }
+
+  const confidence = 1 - significance;
+  const fit = chiSquareTest(
+    counts,
+    analysis.pockets.map(({ probability }) => probability * draws)
+  );
+  const pocketFit = {
+    ...fit,
+    passed: fit.pValue >= significance,
+    rows: analysis.pockets.map(({ id, label, probability }, index) => ({
+      id,
+      label,
+      expected: probability,
+      observed: counts[index] / draws,
+      count: counts[index],
+    })),
+  };
+  const hitRate = checkRate(hits, lotteryDraws, analysis.hitRate, confidence);
+  const rushRate = checkRate(rushHits, hits, analysis.rushRate, confidence);
+
+  return {
+    seed: resolvedSeed,
+    draws,
+    significance,
+    pockets: pocketFit,
+    hitRate,
+    rushRate,
+    provider: { ...range, passed: range.outOfRange === 0 },
+    passed:
+      pocketFit.passed &&
+      hitRate.passed &&
+      rushRate.passed &&
+      range.outOfRange === 0,
+  };
+}
+
+function formatPercent(value, digits = 2) {
+  return value === null ? '-' : `${(value * 100).toFixed(digits)}%`;
+}
+
+function formatVerdict(passed) {
+  return passed ? '合格' : '不合格';
+}
+
+function formatRateLine(label, check, confidence) {
+  return `${label}: 期待 ${formatPercent(
+    check.expected
+  )} / 実測 ${formatPercent(check.observed)} (${check.successes}/${
+    check.trials
+  }) / ${formatPercent(confidence, 0)}信頼区間 ${formatPercent(
+    check.interval.low
+  )}〜${formatPercent(check.interval.high)} → ${formatVerdict(check.passed)}`;
+}
+
+export function formatFairnessAudit(report) {
+  const { pockets, provider } = report;
+  const confidence = 1 - report.significance;
+  return [
+    `公平性監査 (${report.draws}回 / 有意水準 ${formatPercent(
+      report.significance,
+      1
+    )}${report.seed === null ? '' : ` / シード ${report.seed}`})`,
+    `ポケット分布: χ² = ${pockets.statistic.toFixed(2)} (自由度 ${
+      pockets.degreesOfFreedom
+    }) / p値 ${pockets.pValue.toFixed(4)} → ${formatVerdict(pockets.passed)}`,
+    ...pockets.rows.map(
+      ({ label, expected, observed, count }) =>
+        `  ${label}: 期待 ${formatPercent(expected)} / 実測 ${formatPercent(
+          observed
+        )} (${count}回)`
+    ),
+    formatRateLine('大当たり確率', report.hitRate, confidence),
+    formatRateLine('RUSH突入率', report.rushRate, confidence),
+    provider.outOfRange > 0
+      ? `乱数: ${provider.values}個中 ${provider.outOfRange}個が [0, 1) の範囲外 (最小 ${provider.min} / 最大 ${provider.max}) → 不合格`
+      : `乱数: ${provider.values}個すべて [0, 1) の範囲内 → 合格`,
+    `判定: ${formatVerdict(report.passed)}`,
+  ].join('\n');
+}
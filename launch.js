@@ -0,0 +1,72 @@
+export const LAUNCH_STRENGTH = Object.freeze({
+  MIN: 0,
+  MAX: 100,
+  DEFAULT: 50,
+  STEP: 5,
+});
+
+export const DEFAULT_LAUNCH_SPREAD = 60;
+
+export function clampStrength(value, fallback = LAUNCH_STRENGTH.DEFAULT) {
+  const strength = Number(value);
+  if (value === null || value === '' || !Number.isFinite(strength)) {
+    return fallback;
+  }
+
+  return Math.max(LAUNCH_STRENGTH.MIN, Math.min(LAUNCH_STRENGTH.MAX, strength));
+}
+
+export function getStrengthWeight(pocket, strength = LAUNCH_STRENGTH.DEFAULT) {
+  const table = pocket.strengthWeights;
+  const points = table
+    ? Object.entries(table)
+        .map(([key, weight]) => [Number(key), Number(weight)])
+        .filter(
+          ([key, weight]) => Number.isFinite(key) && Number.isFinite(weight)
+        )
+        .sort(([a], [b]) => a - b)
+    : [];
+
+  if (points.length === 0) {
+    return Math.max(pocket.weight ?? 1, 0);
+  }
+
+  const [firstKey, firstWeight] = points[0];
+  if (strength <= firstKey) {
+    return Math.max(firstWeight, 0);
+  }
+
+  for (let index = 1; index < points.length; index += 1) {
+    const [key, weight] = points[index];
+    if (strength <= key) {
+      const [previousKey, previousWeight] = points[index - 1];
+      const ratio = (strength - previousKey) / (key - previousKey);
+      return Math.max(previousWeight + (weight - previousWeight) * ratio, 0);
+    }
+  }
+
+  return Math.max(points[points.length - 1][1], 0);
+}
+
+function toPixels(value) {
+  const pixels = Number.parseFloat(value);
+  return Number.isFinite(pixels) ? pixels : 0;
+}
+
+export function getLaunchShifts(
+  pocket,
+  strength = LAUNCH_STRENGTH.DEFAULT,
+  spread = DEFAULT_LAUNCH_SPREAD
+) {
+  const range = (LAUNCH_STRENGTH.MAX - LAUNCH_STRENGTH.MIN) / 2;
+  const offset =
+    ((clampStrength(strength) - LAUNCH_STRENGTH.DEFAULT) / range) *
+    (Number.isFinite(spread) ? spread : DEFAULT_LAUNCH_SPREAD);
+  const shift = pocket.shift ? toPixels(pocket.shift) : offset * 2.5;
+
+  return {
+    earlyShift: `${Math.round(toPixels(pocket.earlyShift) + offset)}px`,
+    midShift: `${Math.round(toPixels(pocket.midShift) + offset / 2)}px`,
+    shift: `${Math.round(shift)}px`,
+  };
+}
@@ -0,0 +1,276 @@
+import { cloneBoardLayout, validateBoardLayout } from './board-layout.js';
+
+const PIN_GRAB_RADIUS = 8;
+const EDGE_GRAB_WIDTH = 6;
+const OPENING_GRAB_DEPTH = 32;
+const MIN_OPENING_WIDTH = 4;
+
+function toPercent(value, total) {
+  return `${((value / total) * 100).toFixed(2)}%`;
+}
+
+export class BoardLayoutEditor {
+  constructor(board, { layout, pockets = [] } = {}) {
+    if (!board) {
+      throw new Error('BoardLayoutEditor requires a board element.');
+    }
+
+    this.board = board;
+    this.layout = cloneBoardLayout(layout);
+    this.pockets = pockets;
+    this.overlay = null;
+    this.drag = null;
+    this.selectedPin = null;
+    this.problems = [];
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  get isOpen() {
+    return Boolean(this.overlay);
+  }
+
+  open() {
+    if (this.overlay) {
+      return this;
+    }
+
+    const doc = this.board.ownerDocument;
+    this.overlay = doc.createElement('div');
+    this.overlay.className = 'layout-editor';
+    this.overlay.tabIndex = 0;
+    this.overlay.addEventListener('pointerdown', this.handlePointerDown);
+    this.overlay.addEventListener('keydown', this.handleKeyDown);
+    doc.addEventListener?.('pointermove', this.handlePointerMove);
+    doc.addEventListener?.('pointerup', this.handlePointerUp);
+    this.board.appendChild(this.overlay);
+    this.render();
+    return this;
+  }
+
+  close() {
+    if (!this.overlay) {
+      return;
+    }
+
+    const doc = this.board.ownerDocument;
+    doc.removeEventListener?.('pointermove', this.handlePointerMove);
+    doc.removeEventListener?.('pointerup', this.handlePointerUp);
+    if (this.overlay.parentNode === this.board) {
+      this.board.removeChild(this.overlay);
+    }
+    this.overlay = null;
+    this.drag = null;
+  }
+
+  toPoint(event) {
+    const rect = this.overlay.getBoundingClientRect();
+    const { width, height } = this.layout;
+    return {
+      x: Math.round(((event.clientX - rect.left) / rect.width) * width),
+      y: Math.round(((event.clientY - rect.top) / rect.height) * height),
+    };
+  }
+
+  findPin({ x, y }) {
+    let found = null;
+    let nearest = PIN_GRAB_RADIUS;
+    this.layout.pins.forEach((pin, index) => {
+      const distance = Math.hypot(pin.x - x, pin.y - y);
+      if (distance <= nearest) {
+        found = index;
+        nearest = distance;
+      }
+    });
+    return found;
+  }
+
+  findOpening({ x, y }) {
+    if (y < this.layout.height - OPENING_GRAB_DEPTH) {
+      return null;
+    }
+
+    const index = this.layout.openings.findIndex(
+      (opening) =>
+        x >= opening.x - EDGE_GRAB_WIDTH &&
+        x <= opening.x + opening.width + EDGE_GRAB_WIDTH
+    );
+    if (index === -1) {
+      return null;
+    }
+
+    const opening = this.layout.openings[index];
+    let edge = null;
+    if (Math.abs(x - opening.x) <= EDGE_GRAB_WIDTH) {
+      edge = 'left';
+    } else if (Math.abs(x - (opening.x + opening.width)) <= EDGE_GRAB_WIDTH) {
+      edge = 'right';
+    }
+    return { index, edge };
+  }
+
+  handlePointerDown(event) {
+    event.preventDefault?.();
+    const point = this.toPoint(event);
+    const pinIndex = this.findPin(point);
+
+    if (pinIndex !== null) {
+      if (event.shiftKey) {
+        this.deletePin(pinIndex);
+        return;
+      }
+      this.selectedPin = pinIndex;
+      this.drag = { type: 'pin', index: pinIndex };
+      this.render();
+      return;
+    }
+
+    const opening = this.findOpening(point);
+    if (opening) {
+      this.drag = {
+        type: 'opening',
+        index: opening.index,
+        edge: opening.edge,
+        offset: point.x - this.layout.openings[opening.index].x,
+      };
+      return;
+    }
+
+    this.drag = { type: 'pin', index: this.addPin(point) };
+  }
+
+  handlePointerMove(event) {
+    if (!this.drag) {
+      return;
+    }
+
+    const point = this.toPoint(event);
+    if (this.drag.type === 'pin') {
+      this.movePin(this.drag.index, point);
+    } else if (this.drag.edge) {
+      this.resizeOpening(this.drag.index, this.drag.edge, point.x);
+    } else {
+      this.moveOpening(this.drag.index, point.x - this.drag.offset);
+    }
+  }
+
+  handlePointerUp() {
+    this.drag = null;
+  }
+
+  handleKeyDown(event) {
+    if (
+      (event.key === 'Delete' || event.key === 'Backspace') &&
+      this.selectedPin !== null
+    ) {
+      event.preventDefault?.();
+      this.deletePin(this.selectedPin);
+    }
+  }
+
+  addPin({ x, y }) {
+    this.layout.pins.push({ x, y });
+    this.selectedPin = this.layout.pins.length - 1;
+    this.changed();
+    return this.selectedPin;
+  }
+
+  movePin(index, { x, y }) {
+    const { width, height } = this.layout;
+    this.layout.pins[index] = {
+      x: Math.max(0, Math.min(width, x)),
+      y: Math.max(0, Math.min(height, y)),
+    };
+    this.changed();
+  }
+
+  deletePin(index) {
+    this.layout.pins.splice(index, 1);
+    this.selectedPin = null;
+    this.drag = null;
+    this.changed();
+  }
+
+  moveOpening(index, x) {
+    const opening = this.layout.openings[index];
+    opening.x = Math.max(0, Math.min(this.layout.width - opening.width, x));
+    this.changed();
+  }
+
+  resizeOpening(index, edge, x) {
+    const opening = this.layout.openings[index];
+    const right = opening.x + opening.width;
+    if (edge === 'left') {
+      opening.x = Math.max(0, Math.min(right - MIN_OPENING_WIDTH, x));
+      opening.width = right - opening.x;
+    } else {
+      const nextRight = Math.max(
+        opening.x + MIN_OPENING_WIDTH,
+        Math.min(this.layout.width, x)
+      );
+      opening.width = nextRight - opening.x;
+    }
+    this.changed();
+  }
+
+  changed() {
+    this.problems = [];
+    this.render();
+  }
+
+  validate() {
+    this.problems = validateBoardLayout(this.layout, this.pockets);
+    this.render();
+    return this.problems;
+  }
+
+  toJSON() {
+    return cloneBoardLayout(this.layout);
+  }
+
+  render() {
+    if (!this.overlay) {
+      return;
+    }
+
+    const doc = this.board.ownerDocument;
+    const { width, height, pins, openings } = this.layout;
+    const invalidPins = new Set(
+      this.problems.flatMap((problem) => problem.pins)
+    );
+    const invalidOpenings = new Set(
+      this.problems.flatMap((problem) => problem.openings)
+    );
+    this.overlay.innerHTML = '';
+
+    openings.forEach((opening, index) => {
+      const element = doc.createElement('div');
+      element.className = 'layout-editor__opening';
+      if (invalidOpenings.has(index)) {
+        element.className += ' is-invalid';
+      }
+      element.style.setProperty('left', toPercent(opening.x, width));
+      element.style.setProperty('width', toPercent(opening.width, width));
+      const pocket = this.pockets.find(({ id }) => id === opening.pocketId);
+      element.textContent = pocket?.label ?? opening.pocketId;
+      this.overlay.appendChild(element);
+    });
+
+    pins.forEach((pin, index) => {
+      const element = doc.createElement('span');
+      element.className = 'layout-editor__pin';
+      if (index === this.selectedPin) {
+        element.className += ' is-selected';
+      }
+      if (invalidPins.has(index)) {
+        element.className += ' is-invalid';
+      }
+      element.style.setProperty('left', toPercent(pin.x, width));
+      element.style.setProperty('top', toPercent(pin.y, height));
+      this.overlay.appendChild(element);
+    });
+  }
+}
@@ -0,0 +1,148 @@
+import { validateConfig } from './config-validation.js';
+
+export const MACHINE_SPEC_PRESETS = Object.freeze([
+  Object.freeze({ id: 'standard', name: '標準', path: null }),
+  Object.freeze({ id: 'amadeji', name: '甘デジ', path: 'specs/amadeji.json' }),
+  Object.freeze({
+    id: 'light-middle',
+    name: 'ライトミドル',
+    path: 'specs/light-middle.json',
+  }),
+  Object.freeze({ id: 'middle', name: 'ミドル', path: 'specs/middle.json' }),
+]);
+
+export const SPEC_SECTIONS = Object.freeze({
+  odds: ['hitRate', 'rushRate', 'rushRewardMultiplier'],
+  modes: [
+    'rushSpins',
+    'rushHitRate',
+    'rushContinuationRate',
+    'kakuhenRate',
+    'kakuhenHitRate',
+    'jitanSpins',
+    'jitanBallCost',
+    'jitanStartBoost',
+  ],
+  attacker: ['attackerBallsPerRound', 'attackerPayout', 'attackerRoundTime'],
+  reels: [
+    'spinDuration',
+    'reachTypes',
+    'reachTable',
+    'noticeTypes',
+    'noticeTable',
+  ],
+});
+
+const FRACTION_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readRate(value) {
+  const match = typeof value === 'string' ? FRACTION_PATTERN.exec(value) : null;
+  if (!match || Number(match[2]) === 0) {
+    return value;
+  }
+  return Number(match[1]) / Number(match[2]);
+}
+
+function findSection(key) {
+  return Object.keys(SPEC_SECTIONS).find((section) =>
+    SPEC_SECTIONS[section].includes(key)
+  );
+}
+
+export function findMachineSpecPreset(id) {
+  return MACHINE_SPEC_PRESETS.find((preset) => preset.id === id) ?? null;
+}
+
+export function createSpecConfig(spec) {
+  const config = {};
+  Object.keys(SPEC_SECTIONS).forEach((section) => {
+    const values = isPlainObject(spec?.[section]) ? spec[section] : {};
+    Object.entries(values).forEach(([key, value]) => {
+      config[key] = section === 'reels' ? value : readRate(value);
+    });
+  });
+  if (spec?.pockets !== undefined) {
+    config.pockets = spec.pockets;
+  }
+  return config;
+}
+
+export function validateMachineSpec(spec) {
+  if (!isPlainObject(spec)) {
+    return [{ path: 'spec', message: 'spec must be an object' }];
+  }
+
+  const problems = [];
+  if (typeof spec.name !== 'string' || spec.name.trim() === '') {
+    problems.push({ path: 'name', message: 'name must be a non-empty string' });
+  }
+
+  Object.entries(SPEC_SECTIONS).forEach(([section, keys]) => {
+    const values = spec[section];
+    if (values === undefined) {
+      return;
+    }
+    if (!isPlainObject(values)) {
+      problems.push({ path: section, message: `${section} must be an object` });
+      return;
+    }
+    Object.keys(values)
+      .filter((key) => !keys.includes(key))
+      .forEach((key) => {
+        const path = `${section}.${key}`;
+        problems.push({ path, message: `${path} is not a known setting` });
+      });
+  });
+
+  validateConfig(createSpecConfig(spec)).forEach(({ path, message }) => {
+    const section = findSection(path.split(/[.[]/)[0]);
+    if (!section) {
+      problems.push({ path, message });
+      return;
+    }
+    const specPath = `${section}.${path}`;
+    problems.push({
+      path: specPath,
+      message: `${specPath}${message.slice(path.length)}`,
+    });
+  });
+
+  return problems;
+}
+
+export function readMachineSpec(spec) {
+  const problems = validateMachineSpec(spec);
+  if (problems.length > 0) {
+    const name = typeof spec?.name === 'string' ? ` "${spec.name}"` : '';
+    throw new Error(
+      `Invalid machine spec${name}:\n${problems
+        .map(({ message }) => `- ${message}`)
+        .join('\n')}`
+    );
+  }
+
+  return {
+    name: spec.name,
+    description: spec.description ?? '',
+    config: createSpecConfig(spec),
+  };
+}
+
+export function fetchMachineSpec(preset) {
+  if (!preset.path) {
+    return Promise.resolve({ name: preset.name, description: '', config: {} });
+  }
+
+  return fetch(new URL(preset.path, import.meta.url))
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Could not load machine spec: ${preset.path}.`);
+      }
+      return response.json();
+    })
+    .then(readMachineSpec);
+}
@@ -0,0 +1,11 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { runTrialRange } from './monte-carlo.js';
+
+const { config, options } = workerData;
+const result = runTrialRange(config, {
+  ...options,
+  onProgress: (completed) => {
+    parentPort.postMessage({ type: 'progress', completed });
+  },
+});
+parentPort.postMessage({ type: 'done', ...result });
@@ -0,0 +1,467 @@
+import {
+  DEFAULT_ENGINE_CONFIG,
+  GAME_EVENTS,
+  PachinkoEngine,
+} from './engine.js';
+import { createSeed, deriveSeed, normalizeSeed } from './random.js';
+
+export const STOP_CONDITIONS = Object.freeze({
+  RUSH: 'rush',
+  WIN: 'win',
+  BUST: 'bust',
+  SPINS: 'spins',
+});
+
+export const OUTPUT_FORMATS = Object.freeze(['text', 'json', 'csv']);
+export const DEFAULT_PERCENTILES = Object.freeze([5, 25, 50, 75, 95]);
+export const DEFAULT_MAX_BALLS = 50000;
+
+const HISTOGRAM_METRICS = Object.freeze({
+  hit: { key: 'spinsToFirstHit', label: '初当たりまでの回転数' },
+  rush: { key: 'spinsToRush', label: 'RUSH突入までの回転数' },
+  credits: { key: 'credits', label: '終了時のクレジット' },
+});
+
+const CSV_COLUMNS = [
+  ['trial', 'trial'],
+  ['seed', 'seed'],
+  ['balls', 'balls'],
+  ['spins', 'spins'],
+  ['spins_to_first_hit', 'spinsToFirstHit'],
+  ['spins_to_rush', 'spinsToRush'],
+  ['big_hits', 'bigHits'],
+  ['rush_count', 'rushCount'],
+  ['balls_in', 'ballsIn'],
+  ['balls_out', 'ballsOut'],
+  ['credits', 'credits'],
+  ['end', 'end'],
+];
+
+export function parseStopOn(value = STOP_CONDITIONS.RUSH) {
+  const text = String(value).trim();
+  const spins = /^spins=(\d+)$/.exec(text);
+  if (spins && Number(spins[1]) > 0) {
+    return { type: STOP_CONDITIONS.SPINS, spins: Number(spins[1]) };
+  }
+  if (
+    [STOP_CONDITIONS.RUSH, STOP_CONDITIONS.WIN, STOP_CONDITIONS.BUST].includes(
+      text
+    )
+  ) {
+    return { type: text };
+  }
+  throw new Error(
+    `Unknown stop condition: ${value}. Use rush, win, bust, or spins=N.`
+  );
+}
+
+export function formatStopOn(stopOn) {
+  return stopOn.type === STOP_CONDITIONS.SPINS
+    ? `${stopOn.type}=${stopOn.spins}`
+    : stopOn.type;
+}
+
+export function getTrialSeed(seed, trial) {
+  return deriveSeed(seed, `trial:${trial}`);
+}
+
+function hasReachedStop(engine, stopOn) {
+  if (engine.attacker) {
+    return false;
+  }
+
+  switch (stopOn.type) {
+    case STOP_CONDITIONS.RUSH:
+      return engine.dataCounter.rushCount > 0;
+    case STOP_CONDITIONS.WIN:
+      return engine.dataCounter.bigHits > 0;
+    case STOP_CONDITIONS.SPINS:
+      return engine.dataCounter.totalSpins >= stopOn.spins;
+    default:
+      return false;
+  }
+}
+
+export function runTrial(
+  config = {},
+  { seed = null, stopOn = parseStopOn(), maxBalls = DEFAULT_MAX_BALLS } = {}
+) {
+  const engine = new PachinkoEngine({ ...config, seed });
+  const result = {
+    seed: engine.seed,
+    spinsToFirstHit: null,
+    spinsToRush: null,
+    ballsIn: 0,
+    ballsOut: 0,
+    end: 'limit',
+  };
+
+  engine.on(GAME_EVENTS.CREDITS_CHANGED, ({ delta, reason }) => {
+    if (reason === 'shot') {
+      result.ballsIn -= delta;
+    } else if (delta > 0 && reason !== 'reset' && reason !== 'restore') {
+      result.ballsOut += delta;
+    }
+  });
+  engine.on(GAME_EVENTS.WIN, () => {
+    result.spinsToFirstHit ??= engine.dataCounter.totalSpins;
+  });
+  engine.on(GAME_EVENTS.RUSH_START, () => {
+    result.spinsToRush ??= engine.dataCounter.totalSpins;
+  });
+
+  while (engine.ballCount < maxBalls) {
+    if (!engine.shoot()) {
+      result.end = STOP_CONDITIONS.BUST;
+      break;
+    }
+    if (hasReachedStop(engine, stopOn)) {
+      result.end = 'stop';
+      break;
+    }
+  }
+
+  return {
+    ...result,
+    balls: engine.ballCount,
+    spins: engine.dataCounter.totalSpins,
+    bigHits: engine.dataCounter.bigHits,
+    rushCount: engine.dataCounter.rushCount,
+    credits: engine.credits,
+  };
+}
+
+function countValues(values) {
+  const counts = new Map();
+  values.forEach((value) => {
+    counts.set(value, (counts.get(value) ?? 0) + 1);
+  });
+  return counts;
+}
+
+function sortCounts(counts) {
+  return [...counts.entries()].sort(([a], [b]) => a - b);
+}
+
+function valueAtRank(entries, rank) {
+  let seen = 0;
+  for (const [value, count] of entries) {
+    seen += count;
+    if (rank < seen) {
+      return value;
+    }
+  }
+  return entries[entries.length - 1][0];
+}
+
+function percentileOfCounts(entries, total, p) {
+  const rank = (p / 100) * (total - 1);
+  const lower = valueAtRank(entries, Math.floor(rank));
+  const upper = valueAtRank(entries, Math.ceil(rank));
+  return lower + (upper - lower) * (rank - Math.floor(rank));
+}
+
+export function describeCounts(counts, percentiles = DEFAULT_PERCENTILES) {
+  const entries = sortCounts(counts);
+  const count = entries.reduce((sum, [, times]) => sum + times, 0);
+  const describe = (p) =>
+    count > 0 ? percentileOfCounts(entries, count, p) : null;
+  return {
+    count,
+    mean:
+      count > 0
+        ? entries.reduce((sum, [value, times]) => sum + value * times, 0) /
+          count
+        : null,
+    median: describe(50),
+    min: count > 0 ? entries[0][0] : null,
+    max: count > 0 ? entries[entries.length - 1][0] : null,
+    percentiles: Object.fromEntries(
+      percentiles.map((p) => [`p${p}`, describe(p)])
+    ),
+  };
+}
+
+export function describeValues(values, percentiles = DEFAULT_PERCENTILES) {
+  return describeCounts(countValues(values), percentiles);
+}
+
+export function createTrialAggregate() {
+  return {
+    trials: 0,
+    busted: 0,
+    ballsIn: 0,
+    ballsOut: 0,
+    counts: Object.fromEntries(
+      Object.values(HISTOGRAM_METRICS).map(({ key }) => [key, new Map()])
+    ),
+  };
+}
+
+export function addTrialToAggregate(aggregate, trial) {
+  aggregate.trials += 1;
+  aggregate.busted += trial.end === STOP_CONDITIONS.BUST ? 1 : 0;
+  aggregate.ballsIn += trial.ballsIn;
+  aggregate.ballsOut += trial.ballsOut;
+  Object.entries(aggregate.counts).forEach(([key, counts]) => {
+    if (trial[key] !== null) {
+      counts.set(trial[key], (counts.get(trial[key]) ?? 0) + 1);
+    }
+  });
+  return aggregate;
+}
+
+export function mergeAggregates(aggregates) {
+  return aggregates.reduce((merged, aggregate) => {
+    merged.trials += aggregate.trials;
+    merged.busted += aggregate.busted;
+    merged.ballsIn += aggregate.ballsIn;
+    merged.ballsOut += aggregate.ballsOut;
+    Object.entries(aggregate.counts).forEach(([key, counts]) => {
+      counts.forEach((times, value) => {
+        merged.counts[key].set(
+          value,
+          (merged.counts[key].get(value) ?? 0) + times
+        );
+      });
+    });
+    return merged;
+  }, createTrialAggregate());
+}
+
+function describeReached(aggregate, key, percentiles) {
+  const stats = describeCounts(aggregate.counts[key], percentiles);
+  return {
+    ...stats,
+    reachedRate: aggregate.trials > 0 ? stats.count / aggregate.trials : 0,
+  };
+}
+
+export function summarizeAggregate(aggregate, { percentiles } = {}) {
+  const { trials, busted, ballsIn, ballsOut } = aggregate;
+  return {
+    trials,
+    spinsToFirstHit: describeReached(aggregate, 'spinsToFirstHit', percentiles),
+    spinsToRush: describeReached(aggregate, 'spinsToRush', percentiles),
+    credits: describeCounts(aggregate.counts.credits, percentiles),
+    bustProbability: trials > 0 ? busted / trials : 0,
+    ballsIn,
+    ballsOut,
+    payoutRate: ballsIn > 0 ? ballsOut / ballsIn : null,
+  };
+}
+
+export function summarizeTrials(trials, options) {
+  return summarizeAggregate(
+    trials.reduce(addTrialToAggregate, createTrialAggregate()),
+    options
+  );
+}
+
+export function createHistogramFromCounts(counts, { bins = 10 } = {}) {
+  const entries = sortCounts(counts);
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const min = entries[0][0];
+  const max = entries[entries.length - 1][0];
+  const size = Math.max(1, Math.ceil((max - min + 1) / bins));
+  const histogram = Array.from(
+    { length: Math.floor((max - min) / size) + 1 },
+    (_, index) => ({
+      from: min + index * size,
+      to: min + (index + 1) * size - 1,
+      count: 0,
+    })
+  );
+  entries.forEach(([value, times]) => {
+    histogram[Math.floor((value - min) / size)].count += times;
+  });
+  return histogram;
+}
+
+export function createHistogram(values, options) {
+  return createHistogramFromCounts(countValues(values), options);
+}
+
+export function formatHistogram(histogram, { width = 40 } = {}) {
+  const peak = Math.max(0, ...histogram.map(({ count }) => count));
+  const labels = histogram.map(({ from, to }) => `${from}-${to}`);
+  const labelWidth = Math.max(0, ...labels.map((label) => label.length));
+  return histogram.map(({ count }, index) => {
+    const bar = '#'.repeat(peak > 0 ? Math.round((count / peak) * width) : 0);
+    return `${labels[index].padStart(labelWidth)} | ${bar} ${count}`;
+  });
+}
+
+export function runTrialRange(
+  config = {},
+  {
+    seed,
+    start = 0,
+    end,
+    stopOn = parseStopOn(),
+    maxBalls = DEFAULT_MAX_BALLS,
+    keepTrials = true,
+    onProgress = null,
+    progressInterval = 100,
+  } = {}
+) {
+  const aggregate = createTrialAggregate();
+  const trials = [];
+  for (let index = start; index < end; index += 1) {
+    const trial = {
+      trial: index + 1,
+      ...runTrial(config, {
+        seed: getTrialSeed(seed, index),
+        stopOn,
+        maxBalls,
+      }),
+    };
+    addTrialToAggregate(aggregate, trial);
+    if (keepTrials) {
+      trials.push(trial);
+    }
+    const completed = index - start + 1;
+    if (
+      onProgress &&
+      (completed % progressInterval === 0 || index === end - 1)
+    ) {
+      onProgress(completed);
+    }
+  }
+  return { aggregate, trials };
+}
+
+export function prepareMonteCarlo({
+  trials = 1000,
+  seed = null,
+  histogram = 'hit',
+  maxBalls = DEFAULT_MAX_BALLS,
+} = {}) {
+  if (!Number.isInteger(trials) || trials < 1) {
+    throw new Error('trials must be a positive integer.');
+  }
+  if (!Number.isInteger(maxBalls) || maxBalls < 1) {
+    throw new Error('maxBalls must be a positive integer.');
+  }
+  if (!HISTOGRAM_METRICS[histogram]) {
+    throw new Error(
+      `Unknown histogram: ${histogram}. Use ${Object.keys(
+        HISTOGRAM_METRICS
+      ).join(', ')}.`
+    );
+  }
+  return { trials, seed: normalizeSeed(seed) ?? createSeed() };
+}
+
+export function createMonteCarloReport(
+  config,
+  {
+    seed,
+    stopOn = parseStopOn(),
+    aggregate,
+    trials = [],
+    percentiles,
+    histogram = 'hit',
+    bins = 10,
+  }
+) {
+  return {
+    seed,
+    stopOn: formatStopOn(stopOn),
+    initialCredits:
+      config.initialCredits ?? DEFAULT_ENGINE_CONFIG.initialCredits,
+    summary: summarizeAggregate(aggregate, { percentiles }),
+    histogram: {
+      metric: histogram,
+      bins: createHistogramFromCounts(
+        aggregate.counts[HISTOGRAM_METRICS[histogram].key],
+        { bins }
+      ),
+    },
+    trials,
+  };
+}
+
+export function runMonteCarlo(config = {}, options = {}) {
+  const { trials, seed } = prepareMonteCarlo(options);
+  const range = runTrialRange(config, {
+    ...options,
+    seed,
+    start: 0,
+    end: trials,
+  });
+  return createMonteCarloReport(config, { ...options, seed, ...range });
+}
+
+function formatValue(value, digits = 1) {
+  if (value === null) {
+    return '-';
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(digits);
+}
+
+function formatRate(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatSpinsLine(label, stats) {
+  const percentiles = Object.entries(stats.percentiles)
+    .map(([key, value]) => `${key.slice(1)}% ${formatValue(value)}`)
+    .join(' / ');
+  return `${label} (到達 ${formatRate(stats.reachedRate)}): 平均 ${formatValue(
+    stats.mean
+  )} / 中央値 ${formatValue(stats.median)} / ${percentiles}`;
+}
+
+export function formatMonteCarloText(report) {
+  const { summary } = report;
+  return [
+    `シード: ${report.seed} / 試行: ${summary.trials}回 / 初期クレジット: ${report.initialCredits} / 停止条件: ${report.stopOn}`,
+    formatSpinsLine(HISTOGRAM_METRICS.hit.label, summary.spinsToFirstHit),
+    formatSpinsLine(HISTOGRAM_METRICS.rush.label, summary.spinsToRush),
+    `破産確率: ${formatRate(summary.bustProbability)}`,
+    `出玉率: ${formatRate(summary.payoutRate)} (投入 ${
+      summary.ballsIn
+    } / 払い出し ${summary.ballsOut})`,
+    '',
+    `${HISTOGRAM_METRICS[report.histogram.metric].label}の分布:`,
+    ...formatHistogram(report.histogram.bins),
+  ].join('\n');
+}
+
+export function formatMonteCarloJson(report) {
+  const { trials, ...rest } = report;
+  return JSON.stringify(rest, null, 2);
+}
+
+export function formatMonteCarloCsv(report) {
+  return [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...report.trials.map((trial) =>
+      CSV_COLUMNS.map(([, key]) => trial[key] ?? '').join(',')
+    ),
+  ].join('\n');
+}
+
+export function assertOutputFormat(format) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown format: ${format}. Use ${OUTPUT_FORMATS.join(', ')}.`
+    );
+  }
+  return format;
+}
+
+export function formatMonteCarlo(report, format = 'text') {
+  switch (assertOutputFormat(format)) {
+    case 'json':
+      return formatMonteCarloJson(report);
+    case 'csv':
+      return formatMonteCarloCsv(report);
+    default:
+      return formatMonteCarloText(report);
+  }
+}
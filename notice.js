@@ -0,0 +1,46 @@
+import { getOutcomeCategory, pickWeightedType } from './tables.js';
+
+export const NOTICE_TARGETS = Object.freeze({
+  HOLD: 'hold',
+  DISPLAY: 'display',
+});
+
+export const DEFAULT_NOTICE_TYPES = [
+  { id: 'blue', label: '青保留', target: NOTICE_TARGETS.HOLD },
+  { id: 'green', label: '緑保留', target: NOTICE_TARGETS.HOLD },
+  { id: 'red', label: '赤保留', target: NOTICE_TARGETS.HOLD },
+  { id: 'rainbow', label: '虹保留', target: NOTICE_TARGETS.HOLD },
+  { id: 'continuous', label: '連続演出', target: NOTICE_TARGETS.DISPLAY },
+];
+
+export const DEFAULT_NOTICE_TABLE = {
+  win: { none: 40, blue: 10, green: 15, red: 20, rainbow: 5, continuous: 10 },
+  rush: { none: 30, blue: 5, green: 10, red: 25, rainbow: 10, continuous: 20 },
+  miss: { none: 950, blue: 30, green: 12, red: 4, rainbow: 0, continuous: 4 },
+};
+
+export function pickNotice(
+  outcome,
+  {
+    noticeTypes = DEFAULT_NOTICE_TYPES,
+    noticeTable = DEFAULT_NOTICE_TABLE,
+  } = {},
+  random = Math.random
+) {
+  if (!Array.isArray(noticeTypes) || noticeTypes.length === 0) {
+    return null;
+  }
+
+  return pickWeightedType(
+    noticeTable?.[getOutcomeCategory(outcome)] ?? {},
+    noticeTypes,
+    random
+  );
+}
+
+export function findDisplayNotice(entries) {
+  const entry = entries.find(
+    (candidate) => candidate?.notice?.target === NOTICE_TARGETS.DISPLAY
+  );
+  return entry?.notice ?? null;
+}
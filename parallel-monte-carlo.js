@@ -0,0 +1,93 @@
+import { availableParallelism, cpus } from 'node:os';
+import { Worker } from 'node:worker_threads';
+import {
+  createMonteCarloReport,
+  mergeAggregates,
+  prepareMonteCarlo,
+} from './monte-carlo.js';
+
+const WORKER_URL = new URL('./monte-carlo-worker.js', import.meta.url);
+
+export function getDefaultWorkerCount() {
+  return typeof availableParallelism === 'function'
+    ? availableParallelism()
+    : cpus().length;
+}
+
+export function splitTrials(trials, workers) {
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error('workers must be a positive integer.');
+  }
+
+  const count = Math.min(trials, workers);
+  const size = Math.floor(trials / count);
+  const extra = trials % count;
+  const ranges = [];
+  let start = 0;
+  for (let index = 0; index < count; index += 1) {
+    const end = start + size + (index < extra ? 1 : 0);
+    ranges.push({ start, end });
+    start = end;
+  }
+  return ranges;
+}
+
+function runWorker(config, options, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL, { workerData: { config, options } });
+    let result = null;
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        onProgress(message.completed);
+      } else if (message.type === 'done') {
+        result = message;
+      }
+    });
+    worker.on('error', reject);
+    worker.on('exit', (code) => {
+      if (result) {
+        resolve(result);
+      } else {
+        reject(new Error(`Simulation worker stopped with exit code ${code}.`));
+      }
+    });
+  });
+}
+
+export function runParallelMonteCarlo(
+  config = {},
+  {
+    workers = getDefaultWorkerCount(),
+    keepTrials = false,
+    onProgress = null,
+    ...options
+  } = {}
+) {
+  const { trials, seed } = prepareMonteCarlo(options);
+  const ranges = splitTrials(trials, workers);
+  const completed = ranges.map(() => 0);
+  const { maxBalls, stopOn, progressInterval } = options;
+
+  return Promise.all(
+    ranges.map(({ start, end }, index) =>
+      runWorker(
+        config,
+        { seed, start, end, maxBalls, stopOn, progressInterval, keepTrials },
+        (count) => {
+          completed[index] = count;
+          onProgress?.({
+            completed: completed.reduce((sum, value) => sum + value, 0),
+            total: trials,
+          });
+        }
+      )
+    )
+  ).then((results) =>
+    createMonteCarloReport(config, {
+      ...options,
+      seed,
+      aggregate: mergeAggregates(results.map(({ aggregate }) => aggregate)),
+      trials: results.flatMap((result) => result.trials),
+    })
+  );
+}
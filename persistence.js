@@ -0,0 +1,88 @@
+export const SAVE_VERSION = 3;
+
+const EMPTY_DATA_COUNTER = {
+  totalSpins: 0,
+  spinsSinceHit: 0,
+  bigHits: 0,
+  rushCount: 0,
+  maxSpinsBetweenHits: 0,
+  history: [],
+};
+
+export const SAVE_MIGRATIONS = {
+  1: (save) => ({
+    ...save,
+    engine: save.engine && {
+      ...save.engine,
+      dataCounter: { ...EMPTY_DATA_COUNTER, history: [] },
+    },
+  }),
+  2: ({ dropPocketId = null, ...save }) => ({
+    ...save,
+    dropPocketIds: dropPocketId ? [dropPocketId] : [],
+  }),
+};
+
+export const SAVE_STATUS = Object.freeze({
+  EMPTY: 'empty',
+  OK: 'ok',
+  CORRUPT: 'corrupt',
+});
+
+export function migrateSave(data, migrations = SAVE_MIGRATIONS) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    throw new Error('Save data does not declare a version.');
+  }
+
+  let current = data;
+  while (current.version < SAVE_VERSION) {
+    const migrate = migrations[current.version];
+    if (typeof migrate !== 'function') {
+      throw new Error(`No migration from save version ${current.version}.`);
+    }
+    current = { ...migrate(current), version: current.version + 1 };
+  }
+
+  if (current.version !== SAVE_VERSION) {
+    throw new Error(`Unsupported save version: ${current.version}.`);
+  }
+
+  return current;
+}
+
+export function readSave(storage, key) {
+  let text;
+  try {
+    text = storage.getItem(key);
+  } catch (error) {
+    return { status: SAVE_STATUS.CORRUPT, error };
+  }
+
+  if (text === null || text === undefined) {
+    return { status: SAVE_STATUS.EMPTY };
+  }
+
+  try {
+    return { status: SAVE_STATUS.OK, data: migrateSave(JSON.parse(text)) };
+  } catch (error) {
+    return { status: SAVE_STATUS.CORRUPT, error };
+  }
+}
+
+export function writeSave(storage, key, data) {
+  try {
+    storage.setItem(key, JSON.stringify(data));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function clearSave(storage, key) {
+  try {
+    storage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,236 @@
+import { LAUNCH_STRENGTH, clampStrength, getStrengthWeight } from './launch.js';
+
+export const TRAJECTORY_MODES = Object.freeze({
+  WEIGHTS: 'weights',
+  PHYSICS: 'physics',
+});
+
+const TIME_STEP = 1 / 240;
+const MAX_STEPS = 2400;
+const PATH_INTERVAL = 4;
+
+export function createPinGrid({
+  width = 400,
+  top = 80,
+  rows = 8,
+  spacing = 40,
+  rowSpacing = 40,
+  margin = 20,
+} = {}) {
+  const pins = [];
+  for (let row = 0; row < rows; row += 1) {
+    const offset = row % 2 === 0 ? 0 : spacing / 2;
+    for (let x = margin + offset; x <= width - margin; x += spacing) {
+      pins.push({ x, y: top + row * rowSpacing });
+    }
+  }
+  return pins;
+}
+
+export const DEFAULT_BOARD_LAYOUT = {
+  width: 400,
+  height: 480,
+  ballRadius: 6,
+  pinRadius: 3,
+  gravity: 900,
+  restitution: 0.45,
+  jitter: 60,
+  entrySpread: 24,
+  pins: createPinGrid(),
+  openings: [
+    { pocketId: 'silver-left', x: 16, width: 60 },
+    { pocketId: 'gold', x: 84, width: 84 },
+    { pocketId: 'jackpot', x: 182, width: 36 },
+    { pocketId: 'miss', x: 232, width: 88 },
+    { pocketId: 'silver-right', x: 328, width: 56 },
+  ],
+};
+
+const pinGrids = new WeakMap();
+
+function getPinGrid(pins, cellSize) {
+  const cached = pinGrids.get(pins);
+  if (cached?.cellSize === cellSize) {
+    return cached;
+  }
+
+  const cells = new Map();
+  pins.forEach((pin) => {
+    const key = `${Math.floor(pin.x / cellSize)}:${Math.floor(
+      pin.y / cellSize
+    )}`;
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(pin);
+  });
+
+  const grid = { cellSize, cells };
+  pinGrids.set(pins, grid);
+  return grid;
+}
+
+function findNearbyPins(grid, x, y) {
+  const column = Math.floor(x / grid.cellSize);
+  const row = Math.floor(y / grid.cellSize);
+  const nearby = [];
+  for (let dx = -1; dx <= 1; dx += 1) {
+    for (let dy = -1; dy <= 1; dy += 1) {
+      const pins = grid.cells.get(`${column + dx}:${row + dy}`);
+      if (pins) {
+        nearby.push(...pins);
+      }
+    }
+  }
+  return nearby;
+}
+
+export function findOpening(layout, x) {
+  return (
+    (layout.openings ?? []).find(
+      (opening) => x >= opening.x && x <= opening.x + opening.width
+    ) ?? null
+  );
+}
+
+export function simulateTrajectory(
+  layout = DEFAULT_BOARD_LAYOUT,
+  {
+    random = Math.random,
+    strength = LAUNCH_STRENGTH.DEFAULT,
+    recordPath = true,
+  } = {}
+) {
+  const {
+    width,
+    height,
+    ballRadius: radius,
+    pinRadius,
+    gravity,
+    restitution,
+    jitter,
+    entrySpread,
+  } = { ...DEFAULT_BOARD_LAYOUT, ...layout };
+  const pins = layout.pins ?? [];
+  const reach = radius + pinRadius;
+  const grid = getPinGrid(pins, reach * 2);
+  const range = LAUNCH_STRENGTH.MAX - LAUNCH_STRENGTH.MIN;
+  const aim = (clampStrength(strength) - LAUNCH_STRENGTH.MIN) / range;
+
+  let x = radius + (width - radius * 2) * aim + (random() - 0.5) * entrySpread;
+  let y = radius;
+  let vx = (random() - 0.5) * jitter;
+  let vy = 0;
+  let bounces = 0;
+  let step = 0;
+  const points = [];
+
+  const record = () => {
+    if (recordPath) {
+      points.push({ x, y, t: step * TIME_STEP });
+    }
+  };
+
+  record();
+  while (step < MAX_STEPS && y < height - radius) {
+    step += 1;
+    vy += gravity * TIME_STEP;
+    x += vx * TIME_STEP;
+    y += vy * TIME_STEP;
+
+    if (x < radius || x > width - radius) {
+      x = Math.max(radius, Math.min(width - radius, x));
+      vx = -vx * restitution;
+    }
+
+    findNearbyPins(grid, x, y).forEach((pin) => {
+      const dx = x - pin.x;
+      const dy = y - pin.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance >= reach) {
+        return;
+      }
+
+      const nx = distance > 0 ? dx / distance : 0;
+      const ny = distance > 0 ? dy / distance : -1;
+      x = pin.x + nx * reach;
+      y = pin.y + ny * reach;
+
+      const normalSpeed = vx * nx + vy * ny;
+      if (normalSpeed < 0) {
+        const kick = (random() - 0.5) * jitter;
+        vx += -(1 + restitution) * normalSpeed * nx - ny * kick;
+        vy += -(1 + restitution) * normalSpeed * ny + nx * kick;
+        bounces += 1;
+      }
+    });
+
+    if (step % PATH_INTERVAL === 0) {
+      record();
+    }
+  }
+
+  y = Math.min(y, height - radius);
+  record();
+  const opening = findOpening(layout, x);
+
+  return {
+    pocketId: opening?.pocketId ?? null,
+    landingX: x,
+    bounces,
+    duration: step * TIME_STEP,
+    points,
+  };
+}
+
+export function resolveLandingPocket(pockets, layout, trajectory) {
+  const byId = (pocketId) => pockets.find(({ id }) => id === pocketId);
+  const pocket = byId(trajectory.pocketId);
+  if (pocket) {
+    return pocket;
+  }
+
+  const out = pockets.find(({ isOut }) => isOut);
+  if (out) {
+    return out;
+  }
+
+  const nearest = [...(layout.openings ?? [])]
+    .filter(({ pocketId }) => byId(pocketId))
+    .sort(
+      (a, b) =>
+        Math.abs(a.x + a.width / 2 - trajectory.landingX) -
+        Math.abs(b.x + b.width / 2 - trajectory.landingX)
+    )[0];
+  return nearest ? byId(nearest.pocketId) : pockets[0];
+}
+
+export function measurePocketDistribution({
+  layout = DEFAULT_BOARD_LAYOUT,
+  pockets,
+  strength = LAUNCH_STRENGTH.DEFAULT,
+  balls = 10000,
+  random = Math.random,
+}) {
+  const counts = new Map(pockets.map(({ id }) => [id, 0]));
+  for (let ball = 0; ball < balls; ball += 1) {
+    const trajectory = simulateTrajectory(layout, {
+      random,
+      strength,
+      recordPath: false,
+    });
+    const pocket = resolveLandingPocket(pockets, layout, trajectory);
+    counts.set(pocket.id, counts.get(pocket.id) + 1);
+  }
+
+  const weights = pockets.map((pocket) => getStrengthWeight(pocket, strength));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return pockets.map((pocket, index) => ({
+    pocketId: pocket.id,
+    label: pocket.label,
+    expected: totalWeight > 0 ? weights[index] / totalWeight : 0,
+    count: counts.get(pocket.id),
+    share: balls > 0 ? counts.get(pocket.id) / balls : 0,
+  }));
+}
@@ -0,0 +1,48 @@
+const UINT32_RANGE = 2 ** 32;
+
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function normalizeSeed(seed) {
+  if (seed === null || seed === undefined || seed === '') {
+    return null;
+  }
+
+  const text = String(seed).trim();
+  const numeric = Number(text);
+  if (text !== '' && Number.isFinite(numeric)) {
+    return Math.floor(Math.abs(numeric)) % UINT32_RANGE;
+  }
+
+  return hashString(text);
+}
+
+export function createSeed() {
+  return Math.floor(Math.random() * UINT32_RANGE);
+}
+
+export function createSeededRandom(seed, { state: initialState } = {}) {
+  let state = Number.isInteger(initialState)
+    ? initialState >>> 0
+    : normalizeSeed(seed) ?? 0;
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / UINT32_RANGE;
+  };
+  random.getState = () => state;
+  return random;
+}
+
+export function deriveSeed(seed, stream) {
+  return hashString(`${normalizeSeed(seed) ?? 0}:${stream}`);
+}
@@ -0,0 +1,209 @@
+import {
+  getOutcomeCategory,
+  getTableWeight,
+  pickWeightedType,
+} from './tables.js';
+
+export const DEFAULT_REACH_TYPES = [
+  {
+    id: 'normal',
+    label: 'ノーマルリーチ',
+    duration: 1200,
+    slowdown: 600,
+    fakeOutRate: 0,
+    fakeOutDuration: 0,
+  },
+  {
+    id: 'super',
+    label: 'スーパーリーチ',
+    duration: 2600,
+    slowdown: 1000,
+    fakeOutRate: 0.2,
+    fakeOutDuration: 900,
+  },
+  {
+    id: 'premium',
+    label: 'プレミアムリーチ',
+    duration: 3600,
+    slowdown: 1400,
+    fakeOutRate: 0.5,
+    fakeOutDuration: 1200,
+  },
+];
+
+export const DEFAULT_REACH_TABLE = {
+  win: { none: 0, normal: 30, super: 55, premium: 15 },
+  rush: { none: 0, normal: 10, super: 55, premium: 35 },
+  miss: { none: 880, normal: 100, super: 19, premium: 1 },
+};
+
+export const REACH_PHASES = Object.freeze({
+  START: 'reach',
+  SLOWDOWN: 'slowdown',
+  FAKE_OUT: 'fake-out',
+  REVIVE: 'revive',
+  SETTLE: 'settle',
+});
+
+export function pickReachType(
+  outcome,
+  { reachTypes = DEFAULT_REACH_TYPES, reachTable = DEFAULT_REACH_TABLE } = {},
+  random = Math.random
+) {
+  if (!Array.isArray(reachTypes) || reachTypes.length === 0) {
+    return null;
+  }
+
+  return pickWeightedType(
+    reachTable?.[getOutcomeCategory(outcome)] ?? {},
+    reachTypes,
+    random
+  );
+}
+
+export function calculateReachReliability({
+  hitRate = 0,
+  rushRate = 0,
+  reachTypes = DEFAULT_REACH_TYPES,
+  reachTable = DEFAULT_REACH_TABLE,
+} = {}) {
+  const rowTotal = (row) =>
+    [{ id: 'none' }, ...reachTypes].reduce(
+      (sum, { id }) => sum + getTableWeight(row, id),
+      0
+    );
+  const share = (category, id) => {
+    const row = reachTable?.[category];
+    const total = rowTotal(row);
+    return total > 0 ? getTableWeight(row, id) / total : 0;
+  };
+
+  const winRate = hitRate * (1 - rushRate);
+  const rushShare = hitRate * rushRate;
+  const missRate = 1 - hitRate;
+
+  return reachTypes.reduce((reliability, { id }) => {
+    const win = winRate * share('win', id);
+    const rush = rushShare * share('rush', id);
+    const miss = missRate * share('miss', id);
+    const total = win + rush + miss;
+    reliability[id] = {
+      win: total > 0 ? (win + rush) / total : 0,
+      rush: total > 0 ? rush / total : 0,
+    };
+    return reliability;
+  }, {});
+}
+
+function nextDigit(digit) {
+  return digit === 9 ? 1 : digit + 1;
+}
+
+export function arrangeReelValues(
+  values,
+  stopOrder,
+  { isWin, reach, fakeOut }
+) {
+  const results = [...values];
+  if (stopOrder.length < 2) {
+    return results;
+  }
+
+  const leading = stopOrder.slice(0, -1).map(({ index }) => index);
+  const lastIndex = stopOrder[stopOrder.length - 1].index;
+  const base = results[leading[0]];
+
+  if (isWin) {
+    return results;
+  }
+
+  if (reach) {
+    leading.forEach((index) => {
+      results[index] = base;
+    });
+    if (fakeOut || results[lastIndex] === base) {
+      results[lastIndex] = nextDigit(base);
+    }
+    return results;
+  }
+
+  if (leading.length > 1 && leading.every((index) => results[index] === base)) {
+    const index = leading[leading.length - 1];
+    results[index] = nextDigit(base);
+  }
+
+  return results;
+}
+
+export function planReelSequence({
+  values,
+  stopOrder,
+  outcome,
+  reach = null,
+  random = Math.random,
+}) {
+  const fakeOut = Boolean(
+    reach && reach.fakeOutRate > 0 && random() < reach.fakeOutRate
+  );
+  const finalValues = arrangeReelValues(values, stopOrder, {
+    isWin: Boolean(outcome?.isWin),
+    reach,
+    fakeOut,
+  });
+
+  const stops = stopOrder.map(({ index, delay }) => ({
+    index,
+    delay,
+    value: finalValues[index],
+  }));
+
+  if (!reach || stops.length < 2) {
+    return {
+      values: finalValues,
+      reach: null,
+      fakeOut: false,
+      stops,
+      phases: [],
+    };
+  }
+
+  const last = stops[stops.length - 1];
+  const reachStart = stops[stops.length - 2].delay;
+  const reelStop = last.delay + Math.max(0, reach.duration ?? 0);
+  const slowdownAt = Math.max(
+    reachStart,
+    reelStop - Math.max(0, reach.slowdown ?? 0)
+  );
+  const phases = [
+    { name: REACH_PHASES.START, delay: reachStart, index: last.index },
+    { name: REACH_PHASES.SLOWDOWN, delay: slowdownAt, index: last.index },
+  ];
+
+  last.delay = reelStop;
+
+  if (fakeOut) {
+    const revealAt = reelStop + Math.max(0, reach.fakeOutDuration ?? 0);
+    last.fakeValue = outcome?.isWin ? nextDigit(last.value) : last.value;
+    phases.push({
+      name: REACH_PHASES.FAKE_OUT,
+      delay: reelStop,
+      index: last.index,
+    });
+    if (outcome?.isWin) {
+      phases.push({
+        name: REACH_PHASES.REVIVE,
+        delay: revealAt,
+        index: last.index,
+      });
+    }
+    last.delay = revealAt;
+  }
+
+  phases.push({
+    name: REACH_PHASES.SETTLE,
+    delay: last.delay,
+    index: last.index,
+  });
+
+  return { values: finalValues, reach, fakeOut, stops, phases };
+}
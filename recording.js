@@ -0,0 +1,191 @@
+export const SESSION_FORMAT = 'pachinko-session';
+export const SESSION_VERSION = 1;
+
+export const SESSION_ACTIONS = Object.freeze({
+  SHOOT: 'shoot',
+  RESET: 'reset',
+  NEW_DAY: 'new-day',
+});
+
+export const REPLAY_SPEEDS = Object.freeze({
+  INSTANT: 'instant',
+  REAL: 'real',
+});
+
+const RUNTIME_CONFIG_KEYS = new Set(['seed', 'randomProvider']);
+
+export function toMilliseconds(timestamp) {
+  const value =
+    timestamp instanceof Date ? timestamp.getTime() : Number(timestamp);
+  return Number.isFinite(value) ? value : 0;
+}
+
+export function snapshotConfig(config) {
+  return JSON.parse(
+    JSON.stringify(config, (key, value) => {
+      if (typeof value === 'function' || RUNTIME_CONFIG_KEYS.has(key)) {
+        return undefined;
+      }
+      return value;
+    })
+  );
+}
+
+export class SessionRecorder {
+  constructor({ timestampProvider = () => new Date() } = {}) {
+    this.timestampProvider = timestampProvider;
+    this.startedAt = 0;
+    this.recordedAt = null;
+    this.config = {};
+    this.seed = null;
+    this.initialState = null;
+    this.randomStream = [];
+    this.actions = [];
+  }
+
+  start({ config = {}, seed = null, initialState = null } = {}) {
+    this.startedAt = toMilliseconds(this.timestampProvider());
+    this.recordedAt = new Date(this.startedAt).toISOString();
+    this.config = snapshotConfig(config);
+    this.seed = seed;
+    this.initialState = initialState;
+    this.randomStream = [];
+    this.actions = [];
+  }
+
+  elapsed() {
+    return toMilliseconds(this.timestampProvider()) - this.startedAt;
+  }
+
+  useTimeSource(timestampProvider) {
+    const elapsed = this.elapsed();
+    this.timestampProvider = timestampProvider;
+    this.startedAt = toMilliseconds(timestampProvider()) - elapsed;
+  }
+
+  recordAction(type, details = {}) {
+    this.actions.push({ type, at: Math.max(0, this.elapsed()), ...details });
+  }
+
+  recordRandom(value) {
+    if (this.seed === null) {
+      this.randomStream.push(value);
+    }
+  }
+
+  toJSON() {
+    const session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recordedAt: this.recordedAt,
+      config: this.config,
+      seed: this.seed,
+      actions: this.actions.map((action) => ({ ...action })),
+    };
+
+    if (this.initialState) {
+      session.initialState = this.initialState;
+    }
+
+    if (this.seed === null) {
+      session.randomStream = [...this.randomStream];
+    }
+
+    return session;
+  }
+}
+
+export function parseSession(input) {
+  const session = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('The replay file is not a pachinko session.');
+  }
+
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}.`);
+  }
+
+  if (!Array.isArray(session.actions)) {
+    throw new Error('The replay file does not contain an actions list.');
+  }
+
+  const actionTypes = new Set(Object.values(SESSION_ACTIONS));
+  const unknown = session.actions.find(
+    ({ type } = {}) => !actionTypes.has(type)
+  );
+  if (unknown) {
+    throw new Error(`Unknown session action: ${unknown.type}.`);
+  }
+
+  if (session.seed === null && !Array.isArray(session.randomStream)) {
+    throw new Error('The replay file has neither a seed nor a random stream.');
+  }
+
+  return {
+    ...session,
+    config: session.config ?? {},
+    actions: [...session.actions].sort((a, b) => a.at - b.at),
+  };
+}
+
+export function createStreamRandom(values) {
+  let index = 0;
+  return () => {
+    const value = index < values.length ? values[index] : Math.random();
+    index += 1;
+    return value;
+  };
+}
+
+export function createVirtualClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  const runDue = (limit) => {
+    for (;;) {
+      let due = null;
+      timers.forEach((timer, id) => {
+        if (
+          timer.time <= limit &&
+          (!due ||
+            timer.time < due.time ||
+            (timer.time === due.time && id < due.id))
+        ) {
+          due = { ...timer, id };
+        }
+      });
+
+      if (!due) {
+        return;
+      }
+
+      timers.delete(due.id);
+      now = Math.max(now, due.time);
+      due.callback();
+    }
+  };
+
+  return {
+    get now() {
+      return now;
+    },
+    setTimeout(callback, delay = 0) {
+      const id = nextId;
+      nextId += 1;
+      timers.set(id, { callback, time: now + Math.max(0, delay) });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    advanceTo(time) {
+      runDue(time);
+      now = Math.max(now, time);
+    },
+    flush() {
+      runDue(Infinity);
+    },
+  };
+}
@@ -1,66 +1,99 @@
+import {
+  COUNTED_MODES,
+  DEFAULT_ENGINE_CONFIG,
+  GAME_EVENTS,
+  GAME_MODES,
+  LANDING_STATUS,
+  MODE_LABELS,
+  PachinkoEngine,
+  getPrizeBalls,
+  isLotteryPocket,
+} from './engine.js';
+import {
+  DEFAULT_REACH_TABLE,
+  DEFAULT_REACH_TYPES,
+  REACH_PHASES,
+  pickReachType,
+  planReelSequence,
+} from './reach.js';
+import {
+  DEFAULT_NOTICE_TABLE,
+  DEFAULT_NOTICE_TYPES,
+  NOTICE_TARGETS,
+  findDisplayNotice,
+  pickNotice,
+} from './notice.js';
+import {
+  REPLAY_SPEEDS,
+  SESSION_ACTIONS,
+  SessionRecorder,
+  createStreamRandom,
+  createVirtualClock,
+  parseSession,
+  toMilliseconds,
+} from './recording.js';
+import {
+  AUTO_FIRE_STOP_LABELS,
+  AUTO_FIRE_STOP_REASONS,
+  findAutoFireStopReason,
+  findWinStopReason,
+  getAutoFireInterval,
+} from './auto-fire.js';
+import { DEFAULT_LAUNCH_SPREAD, getLaunchShifts } from './launch.js';
+import { getDayKey } from './data-counter.js';
+import { applyLayoutToPockets, sortPocketsByOpening } from './board-layout.js';
+import { BoardLayoutEditor } from './layout-editor.js';
+import { MachineSpecSelector } from './spec-selector.js';
+import {
+  formatSlumpCsv,
+  renderSlumpSvg,
+  selectRecentPoints,
+} from './slump.js';
+import {
+  SAVE_STATUS,
+  SAVE_VERSION,
+  clearSave,
+  migrateSave,
+  readSave,
+  writeSave,
+} from './persistence.js';
+
+export { GAME_EVENTS, GAME_MODES, PachinkoEngine } from './engine.js';
+
 export const DEFAULT_CONFIG = {
-  initialCredits: 120,
-  ballCost: 1,
+  ...DEFAULT_ENGINE_CONFIG,
   maxLogItems: 8,
   animationDuration: 1400,
   spinDuration: 900,
-  timestampProvider: () => new Date(),
-  randomProvider: () => Math.random(),
-  hitRate: 1 / 99,
-  rushRate: 0.25,
-  rushRewardMultiplier: 4,
-  pockets: [
-    {
-      id: 'jackpot',
-      label: '超特賞',
-      reward: 50,
-      rushReward: 200,
-      weight: 1,
-      shift: '0px',
-      midShift: '12px',
-      earlyShift: '-18px',
-    },
-    {
-      id: 'gold',
-      label: '黄金ポケット',
-      reward: 20,
-      rushReward: 80,
-      weight: 2,
-      shift: '-80px',
-      midShift: '-30px',
-      earlyShift: '12px',
-    },
-    {
-      id: 'silver-left',
-      label: 'シルバーL',
-      reward: 10,
-      rushReward: 40,
-      weight: 3,
-      shift: '-160px',
-      midShift: '-90px',
-      earlyShift: '-40px',
-    },
-    {
-      id: 'silver-right',
-      label: 'シルバーR',
-      reward: 10,
-      rushReward: 40,
-      weight: 3,
-      shift: '160px',
-      midShift: '90px',
-      earlyShift: '40px',
-    },
-    {
-      id: 'miss',
-      label: 'ハズレ',
-      reward: 0,
-      weight: 5,
-      shift: '80px',
-      midShift: '30px',
-      earlyShift: '-12px',
-      className: 'pocket--miss',
-    },
-  ],
+  reachTypes: DEFAULT_REACH_TYPES,
+  reachTable: DEFAULT_REACH_TABLE,
+  onReachPhase: null,
+  noticeTypes: DEFAULT_NOTICE_TYPES,
+  noticeTable: DEFAULT_NOTICE_TABLE,
+  launchSpread: DEFAULT_LAUNCH_SPREAD,
+  maxBallsInFlight: 5,
+  autoFireRate: 40,
+  autoFireStopOnWin: false,
+  autoFireStopOnRush: true,
+  autoFireStopBelowCredits: null,
+  autoFireStopAfterBalls: null,
+  persistState: false,
+  storageKey: 'pachinko-sample:save',
+  storage: null,
+  saveDelay: 500,
+};
+
+const REAL_CLOCK = {
+  setTimeout(callback, delay) {
+    const timeout = setTimeout(callback, delay);
+    if (typeof timeout?.unref === 'function') {
+      timeout.unref();
+    }
+    return timeout;
+  },
+  clearTimeout(timeout) {
+    clearTimeout(timeout);
+  },
 };
 
 export function formatNumber(value, digits = 3) {
@@ -77,16 +110,51 @@ function formatTimestamp(date) {
   });
 }
 
+function readDropPocketIds(state) {
+  if (Array.isArray(state?.dropPocketIds)) {
+    return state.dropPocketIds;
+  }
+  return state?.dropPocketId ? [state.dropPocketId] : [];
+}
+
+function readOptionalNumber(input) {
+  const text = String(input.value ?? '').trim();
+  return text === '' ? null : Number(text);
+}
+
 export class PachinkoGame {
   constructor(elements, config = {}) {
     const {
       creditDisplay,
       ballCountDisplay,
       lastResultDisplay,
+      modeDisplay,
+      seedDisplay,
+      attackerDisplay,
+      holdDisplay,
+      slotDisplay,
+      dataCounterDisplays = {},
+      slumpGraph,
+      slumpRange,
+      slumpExportButton,
       eventLog,
       shootButton,
       resetButton,
+      launchStrengthInput,
+      launchStrengthDisplay,
+      autoFireButton,
+      autoFireRateInput,
+      autoFireStopOnWinToggle,
+      autoFireStopOnRushToggle,
+      autoFireStopCreditsInput,
+      autoFireStopBallsInput,
+      exportButton,
+      replayInput,
+      replayInstantToggle,
+      layoutEditorButton,
+      layoutSaveButton,
       board,
+      pinField,
       pocketRow,
       slotReelLeft,
       slotReelCenter,
@@ -102,10 +170,33 @@ export class PachinkoGame {
     this.creditDisplay = creditDisplay;
     this.ballCountDisplay = ballCountDisplay;
     this.lastResultDisplay = lastResultDisplay ?? null;
+    this.modeDisplay = modeDisplay ?? null;
+    this.seedDisplay = seedDisplay ?? null;
+    this.attackerDisplay = attackerDisplay ?? null;
+    this.holdDisplay = holdDisplay ?? null;
+    this.slotDisplay = slotDisplay ?? null;
+    this.dataCounterDisplays = dataCounterDisplays;
+    this.slumpGraph = slumpGraph ?? null;
+    this.slumpRange = slumpRange ?? null;
+    this.slumpExportButton = slumpExportButton ?? null;
     this.eventLog = eventLog;
     this.shootButton = shootButton ?? null;
     this.resetButton = resetButton ?? null;
+    this.launchStrengthInput = launchStrengthInput ?? null;
+    this.launchStrengthDisplay = launchStrengthDisplay ?? null;
+    this.autoFireButton = autoFireButton ?? null;
+    this.autoFireRateInput = autoFireRateInput ?? null;
+    this.autoFireStopOnWinToggle = autoFireStopOnWinToggle ?? null;
+    this.autoFireStopOnRushToggle = autoFireStopOnRushToggle ?? null;
+    this.autoFireStopCreditsInput = autoFireStopCreditsInput ?? null;
+    this.autoFireStopBallsInput = autoFireStopBallsInput ?? null;
+    this.exportButton = exportButton ?? null;
+    this.replayInput = replayInput ?? null;
+    this.replayInstantToggle = replayInstantToggle ?? null;
+    this.layoutEditorButton = layoutEditorButton ?? null;
+    this.layoutSaveButton = layoutSaveButton ?? null;
     this.board = board ?? null;
+    this.pinField = pinField ?? null;
     this.pocketRow = pocketRow ?? null;
     this.slotReelElements = [
       slotReelLeft ?? null,
@@ -113,20 +204,32 @@ export class PachinkoGame {
       slotReelRight ?? null,
     ];
 
-    this.config = { ...DEFAULT_CONFIG, ...config };
-
-    if (!Array.isArray(this.config.pockets) || this.config.pockets.length === 0) {
-      throw new Error('PachinkoGame requires at least one pocket configuration.');
-    }
+    this.recorder = new SessionRecorder({
+      timestampProvider: () => this.config.timestampProvider(),
+    });
+    this.engine = new PachinkoEngine(
+      this.createEngineConfig({ ...DEFAULT_CONFIG, ...config }),
+      { log: (message) => this.addLog(message) }
+    );
 
-    this.credits = this.config.initialCredits;
-    this.ballCount = 0;
-    this.isDropping = false;
+    this.clock = REAL_CLOCK;
+    this.autoFire = null;
+    this.engine.on(GAME_EVENTS.WIN, (event) => {
+      this.handleAutoFireWin(event);
+    });
+    this.replayTimeouts = [];
+    this.finishReplay = null;
+    this.layoutEditor = null;
+    this.activeDrops = new Set();
+    this.attackerTimer = null;
     this.pocketElements = new Map();
     this.highlightTimeout = null;
     this.spinTimeouts = new Map();
-    this.lastOutcome = null;
+    this.spinCompleteTimeout = null;
+    this.saveTimeout = null;
     this.reelStates = [];
+    this.reelPlan = null;
+    this.reachTimeouts = [];
     this.reelUpdateInterval = 80;
     this.reelStopOrder = [
       { index: 0, delay: 1000 },
@@ -136,24 +239,301 @@ export class PachinkoGame {
 
     this.handleShoot = this.handleShoot.bind(this);
     this.handleReset = this.handleReset.bind(this);
+    this.handleAutoFireToggle = this.handleAutoFireToggle.bind(this);
+    this.handleStrengthInput = this.handleStrengthInput.bind(this);
+    this.handleExport = this.handleExport.bind(this);
+    this.handleImport = this.handleImport.bind(this);
+    this.handleLayoutEditorToggle = this.handleLayoutEditorToggle.bind(this);
+    this.handleLayoutSave = this.handleLayoutSave.bind(this);
+    this.handleSlumpExport = this.handleSlumpExport.bind(this);
+    this.renderSlump = this.renderSlump.bind(this);
+    this.flushSave = this.flushSave.bind(this);
+  }
+
+  get config() {
+    return this.engine.config;
+  }
+
+  get credits() {
+    return this.engine.credits;
+  }
+
+  get isReplaying() {
+    return this.clock !== REAL_CLOCK || this.replayTimeouts.length > 0;
+  }
+
+  get ballCount() {
+    return this.engine.ballCount;
+  }
+
+  get lastOutcome() {
+    return this.engine.lastOutcome;
+  }
+
+  get mode() {
+    return this.engine.mode;
+  }
+
+  get nextMode() {
+    return this.engine.nextMode;
+  }
+
+  get spinsRemaining() {
+    return this.engine.spinsRemaining;
+  }
+
+  get currentRush() {
+    return this.engine.currentRush;
+  }
+
+  get lastRushSummary() {
+    return this.engine.lastRushSummary;
+  }
+
+  get isSpinning() {
+    return this.engine.isSpinning;
+  }
+
+  get currentSpin() {
+    return this.engine.currentSpin;
+  }
+
+  get holdQueue() {
+    return this.engine.holdQueue;
+  }
+
+  get seed() {
+    return this.engine.seed;
+  }
+
+  get launchStrength() {
+    return this.engine.launchStrength;
+  }
+
+  get attacker() {
+    return this.engine.attacker ? { ...this.engine.attacker } : null;
+  }
+
+  get isDropping() {
+    return this.activeDrops.size > 0;
+  }
+
+  get dataCounter() {
+    return this.engine.dataCounter.snapshot();
+  }
+
+  on(eventName, handler) {
+    return this.engine.on(eventName, handler);
+  }
+
+  off(eventName, handler) {
+    this.engine.off(eventName, handler);
+  }
+
+  getListenerBindings() {
+    return [
+      [this.shootButton, 'click', this.handleShoot],
+      [this.resetButton, 'click', this.handleReset],
+      [this.launchStrengthInput, 'input', this.handleStrengthInput],
+      [this.autoFireButton, 'click', this.handleAutoFireToggle],
+      [this.exportButton, 'click', this.handleExport],
+      [this.replayInput, 'change', this.handleImport],
+      [this.layoutEditorButton, 'click', this.handleLayoutEditorToggle],
+      [this.layoutSaveButton, 'click', this.handleLayoutSave],
+      [this.slumpRange, 'change', this.renderSlump],
+      [this.slumpExportButton, 'click', this.handleSlumpExport],
+      [this.eventLog?.ownerDocument?.defaultView, 'pagehide', this.flushSave],
+    ].filter(([element]) => element);
   }
 
   init() {
-    if (this.shootButton) {
-      this.shootButton.addEventListener('click', this.handleShoot);
+    this.getListenerBindings().forEach(([element, type, handler]) => {
+      element.addEventListener(type, handler);
+    });
+
+    this.setupReels();
+    this.renderPins();
+    this.renderPockets();
+
+    const saveStatus = this.restoreSavedState();
+    if (saveStatus !== SAVE_STATUS.OK) {
+      if (saveStatus === SAVE_STATUS.CORRUPT) {
+        this.engine.reset();
+      }
+      this.updateDisplays();
+      this.recorder.start({ config: this.config, seed: this.seed });
+      this.addLog(this.withSeedLabel('パチンコ盤面を初期化しました。'));
+      if (saveStatus === SAVE_STATUS.CORRUPT) {
+        this.addLog('保存データを読み込めないため、新しいゲームを開始しました。');
+      }
+    }
+    this.checkDataCounterDay();
+    this.flushSave();
+    return this;
+  }
+
+  destroy() {
+    this.getListenerBindings().forEach(([element, type, handler]) => {
+      element.removeEventListener?.(type, handler);
+    });
+    this.stopAutoFire();
+    this.cancelReplay();
+    this.closeLayoutEditor();
+    this.flushSave();
+    this.cancelAllDrops();
+    this.clearAttackerTimer();
+    if (this.spinCompleteTimeout) {
+      this.clock.clearTimeout(this.spinCompleteTimeout);
+      this.spinCompleteTimeout = null;
+    }
+    if (this.highlightTimeout) {
+      clearTimeout(this.highlightTimeout);
+      this.highlightTimeout = null;
+    }
+    this.spinTimeouts.forEach((timeout) => {
+      clearTimeout(timeout);
+    });
+    this.spinTimeouts.clear();
+    this.resetReels();
+    Object.values(GAME_EVENTS).forEach((eventName) => {
+      this.engine.off(eventName);
+    });
+  }
+
+  getStorage() {
+    if (this.config.storage) {
+      return this.config.storage;
+    }
+
+    try {
+      return this.eventLog.ownerDocument.defaultView?.localStorage ?? null;
+    } catch {
+      return null;
     }
+  }
 
-    if (this.resetButton) {
-      this.resetButton.addEventListener('click', this.handleReset);
+  restoreSavedState() {
+    const storage = this.config.persistState ? this.getStorage() : null;
+    if (!storage) {
+      return SAVE_STATUS.EMPTY;
+    }
+
+    const saved = readSave(storage, this.config.storageKey);
+    if (saved.status === SAVE_STATUS.OK) {
+      try {
+        this.restore(saved.data);
+        this.addLog(this.withSeedLabel('前回の状態を復元しました。'));
+        return SAVE_STATUS.OK;
+      } catch {
+        clearSave(storage, this.config.storageKey);
+        return SAVE_STATUS.CORRUPT;
+      }
+    }
+
+    if (saved.status === SAVE_STATUS.CORRUPT) {
+      clearSave(storage, this.config.storageKey);
+    }
+    return saved.status;
+  }
+
+  saveState() {
+    if (!this.config.persistState || this.saveTimeout) {
+      return;
+    }
+
+    this.saveTimeout = REAL_CLOCK.setTimeout(
+      this.flushSave,
+      this.config.saveDelay
+    );
+  }
+
+  flushSave() {
+    if (this.saveTimeout) {
+      REAL_CLOCK.clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+
+    const storage = this.config.persistState ? this.getStorage() : null;
+    if (storage) {
+      writeSave(storage, this.config.storageKey, this.serialize());
+    }
+  }
+
+  serialize() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: new Date(
+        toMilliseconds(this.config.timestampProvider())
+      ).toISOString(),
+      ...this.captureState(),
+      lastResult: this.lastResultDisplay?.textContent ?? null,
+      log: Array.from(this.eventLog.children, (item) => item.textContent),
+    };
+  }
+
+  captureState() {
+    return {
+      engine: this.engine.serialize(),
+      dropPocketIds: Array.from(this.activeDrops, ({ pocket }) => pocket.id),
+    };
+  }
+
+  restore(data) {
+    const save = migrateSave(data);
+    this.stopAutoFire();
+    this.cancelReplay();
+    this.resetView();
+    this.engine.restore(save.engine);
+
+    this.eventLog.innerHTML = '';
+    const log = Array.isArray(save.log) ? save.log : [];
+    [...log].reverse().forEach((text) => {
+      this.prependLogItem(String(text));
+    });
+    if (this.lastResultDisplay && typeof save.lastResult === 'string') {
+      this.lastResultDisplay.textContent = save.lastResult;
     }
 
-    this.setupReels();
-    this.renderPockets();
     this.updateDisplays();
-    this.addLog('パチンコ盤面を初期化しました。');
+    const initialState = this.captureState();
+    initialState.dropPocketIds = save.dropPocketIds ?? [];
+    this.recorder.start({ config: this.config, seed: this.seed, initialState });
+    this.resumePending(initialState.dropPocketIds);
     return this;
   }
 
+  resumePending(dropPocketIds = []) {
+    dropPocketIds.forEach((dropPocketId) => {
+      const pocket = this.engine.findPocket(dropPocketId);
+      if (pocket) {
+        this.animateBall(pocket);
+      }
+    });
+    this.updateShootButton();
+
+    if (this.mode !== GAME_MODES.BIG_HIT) {
+      this.processNextHold();
+    }
+  }
+
+  createEngineConfig(config) {
+    const pockets = applyLayoutToPockets(config.pockets, config.boardLayout);
+    const provider = config.randomProvider;
+    if (typeof provider !== 'function') {
+      return { ...config, pockets };
+    }
+
+    return {
+      ...config,
+      pockets,
+      randomProvider: () => {
+        const value = provider();
+        this.recorder.recordRandom(value);
+        return value;
+      },
+    };
+  }
+
   renderPockets() {
     if (!this.pocketRow) {
       return;
@@ -162,7 +542,11 @@ export class PachinkoGame {
     this.pocketRow.innerHTML = '';
     this.pocketElements.clear();
 
-    this.config.pockets.forEach((pocket) => {
+    const pockets = sortPocketsByOpening(
+      this.config.pockets,
+      this.config.boardLayout
+    );
+    pockets.forEach((pocket) => {
       const pocketElement = this.pocketRow.ownerDocument.createElement('div');
       pocketElement.className = 'pocket';
       if (pocket.className) {
@@ -173,19 +557,36 @@ export class PachinkoGame {
       label.className = 'pocket__label';
       label.textContent = pocket.label;
 
-      const reward = this.pocketRow.ownerDocument.createElement('span');
-      reward.className = 'pocket__reward';
-      reward.textContent =
-        pocket.reward > 0 ? `通常 +${pocket.reward}` : 'ハズレ';
-
       pocketElement.appendChild(label);
-      pocketElement.appendChild(reward);
 
-      if (pocket.rushReward && pocket.reward > 0) {
-        const rushReward = this.pocketRow.ownerDocument.createElement('span');
-        rushReward.className = 'pocket__reward pocket__reward--rush';
-        rushReward.textContent = `RUSH +${pocket.rushReward}`;
-        pocketElement.appendChild(rushReward);
+      const addReward = (text, modifier = null) => {
+        const reward = this.pocketRow.ownerDocument.createElement('span');
+        reward.className = modifier
+          ? `pocket__reward pocket__reward--${modifier}`
+          : 'pocket__reward';
+        reward.textContent = text;
+        pocketElement.appendChild(reward);
+      };
+
+      const prizeBalls = getPrizeBalls(pocket);
+      if (prizeBalls > 0) {
+        addReward(`賞球 +${prizeBalls}`, 'prize');
+      }
+
+      if (isLotteryPocket(pocket) && pocket.rounds) {
+        addReward(`抽選 当たり ${pocket.rounds}R`);
+        if (pocket.rushRounds) {
+          addReward(`RUSH ${pocket.rushRounds}R`, 'rush');
+        }
+      } else if (isLotteryPocket(pocket)) {
+        addReward(`抽選 当たり +${pocket.reward ?? 0}`);
+        if (pocket.rushReward) {
+          addReward(`RUSH +${pocket.rushReward}`, 'rush');
+        }
+      } else if (pocket.isOut || prizeBalls > 0) {
+        addReward('抽選なし');
+      } else {
+        addReward('ハズレ');
       }
 
       this.pocketRow.appendChild(pocketElement);
@@ -246,11 +647,33 @@ export class PachinkoGame {
     }
 
     if (removeClass) {
-      state.element.classList.remove('slot-reel--spinning');
+      state.element.classList.remove(
+        'slot-reel--spinning',
+        ...this.getReachClassNames()
+      );
     }
   }
 
+  getReachClassNames() {
+    const reachTypes = Array.isArray(this.config.reachTypes)
+      ? this.config.reachTypes
+      : [];
+    return [
+      'slot-reel--reach',
+      'slot-reel--reach-line',
+      'slot-reel--slowdown',
+      'slot-reel--fake-out',
+      'slot-reel--revive',
+      ...reachTypes.map(({ id }) => `slot-reel--reach-${id}`),
+    ];
+  }
+
   clearReelAnimations({ removeClass = true } = {}) {
+    this.reachTimeouts.forEach((timeout) => {
+      clearTimeout(timeout);
+    });
+    this.reachTimeouts = [];
+
     if (!Array.isArray(this.reelStates)) {
       return;
     }
@@ -295,18 +718,28 @@ export class PachinkoGame {
       }
 
       state.element.classList.add('slot-reel--spinning');
-      const interval = setInterval(() => {
-        if (state.valueElement) {
-          state.valueElement.textContent = String(this.getRandomDigit());
-        }
-      }, this.reelUpdateInterval);
-      state.intervalId = interval;
-      if (typeof interval?.unref === 'function') {
-        interval.unref();
-      }
+      this.startReelInterval(state, this.reelUpdateInterval);
     });
   }
 
+  startReelInterval(state, period) {
+    if (state.intervalId) {
+      clearInterval(state.intervalId);
+    }
+
+    const interval = setInterval(() => {
+      if (state.valueElement) {
+        state.valueElement.textContent = String(
+          1 + Math.floor(Math.random() * 9)
+        );
+      }
+    }, period);
+    state.intervalId = interval;
+    if (typeof interval?.unref === 'function') {
+      interval.unref();
+    }
+  }
+
   determineReelResults(outcome) {
     if (!this.hasReels()) {
       return [];
@@ -336,12 +769,7 @@ export class PachinkoGame {
     return results;
   }
 
-  stopReels(outcome) {
-    if (!this.hasReels()) {
-      return;
-    }
-
-    const finalValues = this.determineReelResults(outcome);
+  getReelStopOrder() {
     const delayMap = new Map();
 
     this.reelStopOrder.forEach(({ index, delay }, orderIndex) => {
@@ -349,13 +777,37 @@ export class PachinkoGame {
       delayMap.set(index, delay ?? fallback);
     });
 
-    this.reelStates.forEach((state, index) => {
-      if (!state) {
-        return;
-      }
+    return this.reelStates
+      .map((state, index) =>
+        state
+          ? { index, delay: delayMap.get(index) ?? 1000 + index * 240 }
+          : null
+      )
+      .filter(Boolean)
+      .sort((a, b) => a.delay - b.delay);
+  }
 
-      const delay = delayMap.get(index) ?? 1000 + index * 240;
-      const finalValue = finalValues[index] ?? this.getRandomDigit();
+  stopReels(outcome) {
+    if (!this.hasReels()) {
+      return 0;
+    }
+
+    const random = () => this.getPresentationRandom();
+    const stopOrder = this.getReelStopOrder();
+    const reach =
+      stopOrder.length > 1 ? pickReachType(outcome, this.config, random) : null;
+    const plan = planReelSequence({
+      values: this.determineReelResults(outcome),
+      stopOrder,
+      outcome,
+      reach,
+      random,
+    });
+    this.reelPlan = plan;
+
+    plan.stops.forEach(({ index, delay, value }) => {
+      const state = this.reelStates[index];
+      const finalValue = value ?? this.getRandomDigit();
       const timeout = setTimeout(() => {
         if (state.intervalId) {
           clearInterval(state.intervalId);
@@ -375,10 +827,95 @@ export class PachinkoGame {
         timeout.unref();
       }
     });
+
+    plan.phases.forEach((phase) => {
+      const timeout = setTimeout(() => {
+        this.applyReachPhase(phase, plan, outcome);
+      }, phase.delay);
+      if (typeof timeout?.unref === 'function') {
+        timeout.unref();
+      }
+      this.reachTimeouts.push(timeout);
+    });
+
+    return Math.max(
+      0,
+      ...plan.stops.map(({ delay }) => delay),
+      ...plan.phases.map(({ delay }) => delay)
+    );
+  }
+
+  applyReachPhase(phase, plan, outcome) {
+    const state = this.reelStates[phase.index];
+    if (!state) {
+      return;
+    }
+
+    const { classList } = state.element;
+
+    if (phase.name === REACH_PHASES.START) {
+      classList.add('slot-reel--reach', `slot-reel--reach-${plan.reach.id}`);
+      plan.stops.slice(0, -1).forEach(({ index }) => {
+        this.reelStates[index]?.element.classList.add('slot-reel--reach-line');
+      });
+    } else if (phase.name === REACH_PHASES.SLOWDOWN) {
+      classList.add('slot-reel--slowdown');
+      this.startReelInterval(state, this.reelUpdateInterval * 3);
+    } else if (phase.name === REACH_PHASES.FAKE_OUT) {
+      if (state.intervalId) {
+        clearInterval(state.intervalId);
+        state.intervalId = null;
+      }
+      if (state.valueElement) {
+        const { fakeValue } = plan.stops[plan.stops.length - 1];
+        state.valueElement.textContent = String(fakeValue);
+      }
+      classList.remove('slot-reel--spinning', 'slot-reel--slowdown');
+      classList.add('slot-reel--fake-out');
+    } else if (phase.name === REACH_PHASES.REVIVE) {
+      classList.add('slot-reel--revive');
+    } else if (phase.name === REACH_PHASES.SETTLE) {
+      classList.remove('slot-reel--slowdown', 'slot-reel--fake-out');
+    }
+
+    if (typeof this.config.onReachPhase === 'function') {
+      this.config.onReachPhase({
+        phase: phase.name,
+        reach: plan.reach,
+        reelIndex: phase.index,
+        fakeOut: plan.fakeOut,
+        outcome,
+      });
+    }
+  }
+
+  getRandom() {
+    return this.engine.getRandom();
+  }
+
+  pickPocket() {
+    return this.engine.pickPocket();
+  }
+
+  resolvePocketOutcome(pocket) {
+    return this.engine.resolvePocketOutcome(pocket);
+  }
+
+  getModeRates(mode) {
+    return this.engine.getModeRates(mode);
+  }
+
+  enterMode(mode) {
+    this.engine.enterMode(mode);
+    this.updateDisplays();
+  }
+
+  getPresentationRandom() {
+    return this.engine.getPresentationRandom();
   }
 
   getRandomDigit() {
-    return 1 + Math.floor(this.getRandom() * 9);
+    return 1 + Math.floor(this.getPresentationRandom() * 9);
   }
 
   getInitialReelValue(index = 0) {
@@ -394,14 +931,254 @@ export class PachinkoGame {
   updateDisplays() {
     this.creditDisplay.textContent = formatNumber(this.credits);
     this.ballCountDisplay.textContent = formatNumber(this.ballCount);
+    this.updateModeDisplay();
+    this.renderHolds();
+    this.updateDataCounter();
+    this.renderSlump();
+    this.updateLaunchStrength();
+    this.updateAttacker();
+    if (this.seedDisplay) {
+      this.seedDisplay.textContent =
+        this.seed === null ? '---' : String(this.seed);
+    }
+    this.saveState();
+  }
+
+  updateAttacker() {
+    const { attacker } = this.engine;
+    if (this.attackerDisplay) {
+      this.attackerDisplay.textContent = attacker
+        ? `${attacker.round}R / ${attacker.rounds}R 出玉 +${attacker.payout}`
+        : '---';
+    }
+
+    if (
+      this.attackerTimer &&
+      (this.attackerTimer.attacker !== attacker ||
+        this.attackerTimer.round !== attacker.round)
+    ) {
+      this.clearAttackerTimer();
+    }
+
+    const roundTime = this.config.attackerRoundTime;
+    if (!attacker || this.attackerTimer || !(roundTime > 0)) {
+      return;
+    }
+
+    const timer = { attacker, round: attacker.round, timeout: null };
+    timer.timeout = this.clock.setTimeout(() => {
+      this.attackerTimer = null;
+      this.engine.expireAttackerRound();
+      this.updateDisplays();
+      if (this.mode !== GAME_MODES.BIG_HIT) {
+        this.processNextHold();
+      }
+    }, roundTime);
+    this.attackerTimer = timer;
+  }
+
+  clearAttackerTimer() {
+    if (this.attackerTimer) {
+      this.clock.clearTimeout(this.attackerTimer.timeout);
+      this.attackerTimer = null;
+    }
+  }
+
+  handleStrengthInput() {
+    this.setLaunchStrength(this.launchStrengthInput.value);
+  }
+
+  setLaunchStrength(value) {
+    const strength = this.engine.setLaunchStrength(value);
+    this.updateLaunchStrength();
+    this.saveState();
+    return strength;
+  }
+
+  updateLaunchStrength() {
+    const strength = String(this.launchStrength);
+    if (this.launchStrengthInput) {
+      if (Number(this.launchStrengthInput.value) !== this.launchStrength) {
+        this.launchStrengthInput.value = strength;
+      }
+      this.launchStrengthInput.setAttribute?.(
+        'aria-valuetext',
+        `強さ ${strength}`
+      );
+    }
+    if (this.launchStrengthDisplay) {
+      this.launchStrengthDisplay.textContent = strength;
+    }
+  }
+
+  withSeedLabel(message) {
+    return this.seed === null ? message : `${message} (シード: ${this.seed})`;
+  }
+
+  getHoldLimit() {
+    return this.engine.getHoldLimit();
+  }
+
+  getHoldQueue() {
+    return this.engine.getHoldQueue();
+  }
+
+  renderHolds() {
+    this.updateNoticeDisplay();
+
+    if (!this.holdDisplay) {
+      return;
+    }
+
+    this.holdDisplay.innerHTML = '';
+    for (let index = 0; index < this.getHoldLimit(); index += 1) {
+      const indicator = this.holdDisplay.ownerDocument.createElement('span');
+      const entry = this.holdQueue[index];
+      indicator.className = 'hold-indicator';
+      if (entry) {
+        indicator.className += ' is-filled';
+      }
+      if (entry?.notice?.target === NOTICE_TARGETS.HOLD) {
+        indicator.className += ` hold-indicator--${entry.notice.id}`;
+      }
+      this.holdDisplay.appendChild(indicator);
+    }
+  }
+
+  updateNoticeDisplay() {
+    if (!this.slotDisplay) {
+      return;
+    }
+
+    const noticeTypes = Array.isArray(this.config.noticeTypes)
+      ? this.config.noticeTypes
+      : [];
+    this.slotDisplay.classList.remove(
+      'slot-display--notice',
+      ...noticeTypes.map(({ id }) => `slot-display--notice-${id}`)
+    );
+
+    const notice = findDisplayNotice([this.currentSpin, ...this.holdQueue]);
+    if (notice) {
+      this.slotDisplay.classList.add(
+        'slot-display--notice',
+        `slot-display--notice-${notice.id}`
+      );
+    }
+  }
+
+  updateDataCounter() {
+    const { totalSpins, currentSpins, bigHits, rushCount, maxSpins, history } =
+      this.dataCounterDisplays;
+    const data = this.dataCounter;
+    const values = [
+      [totalSpins, data.totalSpins],
+      [currentSpins, data.spinsSinceHit],
+      [bigHits, data.bigHits],
+      [rushCount, data.rushCount],
+      [maxSpins, data.maxSpinsBetweenHits],
+    ];
+    values.forEach(([element, value]) => {
+      if (element) {
+        element.textContent = String(value);
+      }
+    });
+
+    if (!history) {
+      return;
+    }
+
+    history.innerHTML = '';
+    data.history.forEach((hit, index) => {
+      const item = history.ownerDocument.createElement('li');
+      item.className = 'data-history__item';
+      if (hit.isRush) {
+        item.className += ' data-history__item--rush';
+      }
+      [
+        `#${data.bigHits - index}`,
+        `${hit.spins}回転`,
+        hit.label,
+        `+${hit.reward}`,
+        hit.isRush ? 'RUSH' : '通常',
+      ].forEach((text) => {
+        const cell = history.ownerDocument.createElement('span');
+        cell.textContent = text;
+        item.appendChild(cell);
+      });
+      history.appendChild(item);
+    });
+  }
+
+  getSlumpSeries() {
+    return this.engine.getSlumpSeries();
+  }
+
+  renderSlump() {
+    if (!this.slumpGraph) {
+      return;
+    }
+
+    const points = selectRecentPoints(
+      this.getSlumpSeries(),
+      Number(this.slumpRange?.value)
+    );
+    this.slumpGraph.innerHTML = renderSlumpSvg(points, {
+      baseline: this.engine.slump.baseline,
+    });
+  }
+
+  handleSlumpExport() {
+    const csv = formatSlumpCsv(this.getSlumpSeries());
+    if (this.downloadFile('pachinko-slump.csv', csv, 'text/csv')) {
+      this.addLog('スランプグラフのデータを書き出しました。');
+    }
+    return csv;
+  }
+
+  downloadFile(filename, content, type) {
+    const doc = this.eventLog.ownerDocument;
+    const view = doc.defaultView;
+    if (typeof view?.URL?.createObjectURL !== 'function') {
+      return false;
+    }
+
+    const blob = new view.Blob([content], { type });
+    const url = view.URL.createObjectURL(blob);
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    view.URL.revokeObjectURL(url);
+    return true;
+  }
+
+  updateModeDisplay() {
+    if (!this.modeDisplay) {
+      return;
+    }
+
+    const label = MODE_LABELS[this.mode] ?? MODE_LABELS[GAME_MODES.NORMAL];
+    this.modeDisplay.textContent = COUNTED_MODES.has(this.mode)
+      ? `${label} 残り${formatNumber(this.spinsRemaining, 2)}回`
+      : label;
+
+    Object.values(GAME_MODES).forEach((mode) => {
+      this.modeDisplay.classList.remove(`status__value--${mode}`);
+    });
+    this.modeDisplay.classList.add(`status__value--${this.mode}`);
   }
 
   addLog(message) {
+    const timestamp = formatTimestamp(this.config.timestampProvider());
+    this.prependLogItem(`[${timestamp}] ${message}`);
+    this.saveState();
+  }
+
+  prependLogItem(text) {
     const logItem = this.eventLog.ownerDocument.createElement('li');
     logItem.className = 'log__item';
-
-    const timestamp = formatTimestamp(this.config.timestampProvider());
-    logItem.textContent = `[${timestamp}] ${message}`;
+    logItem.textContent = text;
     this.eventLog.prepend(logItem);
 
     while (this.eventLog.children.length > this.config.maxLogItems) {
@@ -409,34 +1186,69 @@ export class PachinkoGame {
     }
   }
 
+  checkDataCounterDay() {
+    if (this.isReplaying) {
+      return;
+    }
+
+    const day = getDayKey(this.config.timestampProvider());
+    if (this.engine.dataCounter.startDay(day)) {
+      this.announceNewDay();
+    }
+  }
+
+  announceNewDay() {
+    this.recorder.recordAction(SESSION_ACTIONS.NEW_DAY);
+    this.updateDataCounter();
+    this.addLog('日付が変わったため、データカウンターをリセットしました。');
+  }
+
   handleShoot() {
-    if (this.isDropping) {
-      this.addLog('玉が落下中です。終了をお待ちください。');
+    this.checkDataCounterDay();
+    this.recorder.recordAction(SESSION_ACTIONS.SHOOT, {
+      strength: this.launchStrength,
+    });
+
+    if (!this.canLaunch()) {
+      this.addLog('盤面の玉が上限に達しています。着地をお待ちください。');
       return;
     }
 
-    if (this.credits < this.config.ballCost) {
+    if (this.mode === GAME_MODES.BIG_HIT && !this.engine.attacker) {
+      this.engine.finishBigHit();
+      this.updateDisplays();
+      this.processNextHold();
+    }
+
+    const launched = this.engine.launchBall();
+    if (!launched) {
       this.addLog('クレジットが不足しています。');
       return;
     }
 
-    this.credits -= this.config.ballCost;
-    this.ballCount += 1;
+    const { pocket, path, ballCost, strength } = launched;
     this.updateDisplays();
 
-    const pocket = this.pickPocket();
-    this.isDropping = true;
-    this.setShootButtonState(true);
-
     this.addLog(
-      `玉を発射 (消費:${formatNumber(
-        this.config.ballCost,
+      `玉を発射 (強さ:${strength} / 消費:${formatNumber(
+        ballCost,
         2
       )} / 残り:${formatNumber(this.credits)})`
     );
 
-    this.startReels();
-    this.animateBall(pocket);
+    this.animateBall(pocket, strength, path);
+  }
+
+  getMaxBallsInFlight() {
+    return Math.max(1, Math.floor(this.config.maxBallsInFlight ?? 1));
+  }
+
+  canLaunch() {
+    return this.activeDrops.size < this.getMaxBallsInFlight();
+  }
+
+  updateShootButton() {
+    this.setShootButtonState(!this.canLaunch());
   }
 
   setShootButtonState(disabled) {
@@ -445,8 +1257,8 @@ export class PachinkoGame {
     }
   }
 
-  animateBall(pocket) {
-    if (!this.board) {
+  animateBall(pocket, strength = this.launchStrength, path = null) {
+    if (!this.board || !this.config.animationDuration) {
       this.finalizeDrop(pocket);
       return;
     }
@@ -454,66 +1266,175 @@ export class PachinkoGame {
     const ball = this.board.ownerDocument.createElement('div');
     ball.className = 'board__ball';
 
-    ball.style.setProperty('--drop-duration', `${this.config.animationDuration}ms`);
-    if (pocket.shift) {
-      ball.style.setProperty('--shift', pocket.shift);
+    let duration = this.config.animationDuration;
+    if (path) {
+      duration = Math.max(1, Math.round(path.duration * 1000));
+      this.placeBallOnPath(ball, path, duration);
+    } else {
+      ball.style.setProperty('--drop-duration', `${duration}ms`);
+      const shifts = getLaunchShifts(
+        pocket,
+        strength,
+        this.config.launchSpread
+      );
+      ball.style.setProperty('--shift', shifts.shift);
+      ball.style.setProperty('--mid-shift', shifts.midShift);
+      ball.style.setProperty('--early-shift', shifts.earlyShift);
     }
-    if (pocket.midShift) {
-      ball.style.setProperty('--mid-shift', pocket.midShift);
+
+    this.board.appendChild(ball);
+
+    const drop = { ball, pocket, timeout: null };
+    drop.timeout = this.clock.setTimeout(() => {
+      this.cancelDrop(drop);
+      this.finalizeDrop(pocket);
+    }, duration);
+    this.activeDrops.add(drop);
+    this.updateShootButton();
+  }
+
+  placeBallOnPath(ball, path, duration) {
+    const { width, height } = this.config.boardLayout;
+    const frames = path.points.map(({ x, y, t }) => ({
+      left: `${((x / width) * 100).toFixed(2)}%`,
+      top: `${((y / height) * 100).toFixed(2)}%`,
+      offset: path.duration > 0 ? Math.min(1, t / path.duration) : 1,
+    }));
+    const landing = frames[frames.length - 1];
+
+    ball.className += ' board__ball--physics';
+    ball.style.setProperty('left', landing.left);
+    ball.style.setProperty('top', landing.top);
+    if (typeof ball.animate === 'function') {
+      ball.animate(frames, { duration, easing: 'linear' });
     }
-    if (pocket.earlyShift) {
-      ball.style.setProperty('--early-shift', pocket.earlyShift);
+  }
+
+  renderPins() {
+    if (!this.pinField) {
+      return;
     }
 
-    const finalize = () => {
-      if (ball.parentNode === this.board) {
-        this.board.removeChild(ball);
-      }
-      this.finalizeDrop(pocket);
-    };
+    this.pinField.innerHTML = '';
+    const { width, height, pins = [] } = this.config.boardLayout;
+    this.pinField.classList.add('board__pins--layout');
+    pins.forEach(({ x, y }) => {
+      const pin = this.pinField.ownerDocument.createElement('span');
+      pin.className = 'board__pin';
+      pin.style.setProperty('left', `${((x / width) * 100).toFixed(2)}%`);
+      pin.style.setProperty('top', `${((y / height) * 100).toFixed(2)}%`);
+      this.pinField.appendChild(pin);
+    });
+  }
 
-    if (typeof ball.addEventListener === 'function') {
-      ball.addEventListener('animationend', finalize, { once: true });
+  cancelDrop(drop) {
+    if (!this.activeDrops.delete(drop)) {
+      return;
     }
 
-    this.board.appendChild(ball);
+    this.clock.clearTimeout(drop.timeout);
+    if (drop.ball.parentNode === this.board) {
+      this.board.removeChild(drop.ball);
+    }
+  }
+
+  cancelAllDrops() {
+    [...this.activeDrops].forEach((drop) => this.cancelDrop(drop));
+  }
+
+  finalizeDrop(pocket) {
+    this.updateShootButton();
+    this.spinPocket(pocket.id);
+    this.highlightPocket(pocket.id, false);
+
+    const landing = this.engine.landBall(pocket);
 
     if (
-      !this.config.animationDuration ||
-      typeof ball.addEventListener !== 'function'
+      landing.status === LANDING_STATUS.MISS ||
+      landing.status === LANDING_STATUS.OUT
     ) {
-      finalize();
+      this.updateLastResult(pocket, landing.outcome);
+      this.updateDisplays();
+      return;
+    }
+
+    if (landing.status === LANDING_STATUS.ATTACKER) {
+      if (this.lastResultDisplay) {
+        this.lastResultDisplay.textContent = `${pocket.label} / ${landing.round}R +${landing.payout}`;
+      }
+      this.updateDisplays();
+      if (this.mode !== GAME_MODES.BIG_HIT) {
+        this.processNextHold();
+      }
+      return;
+    }
+
+    if (getPrizeBalls(pocket) > 0) {
+      this.updateDisplays();
+    }
+
+    if (landing.status === LANDING_STATUS.HOLD) {
+      const notice = pickNotice(landing.entry.outcome, this.config, () =>
+        this.getPresentationRandom()
+      );
+      landing.entry.notice = notice;
+      if (notice) {
+        this.addLog(`先読み: ${notice.label}`);
+      }
+      this.renderHolds();
+      return;
+    }
+
+    if (landing.status === LANDING_STATUS.SPIN) {
+      landing.entry.notice = null;
+      this.startSpin(landing.entry);
     }
   }
 
-  finalizeDrop(pocket) {
-    const outcome = this.resolvePocketOutcome(pocket);
-    if (outcome.reward > 0) {
-      this.credits += outcome.reward;
+  startSpin(entry) {
+    this.renderHolds();
+    this.startReels();
+
+    const duration = this.stopReels(entry.outcome);
+    if (!duration) {
+      this.completeSpin();
+      return;
     }
 
-    this.isDropping = false;
-    this.setShootButtonState(false);
-    this.updateDisplays();
-    this.lastOutcome = outcome;
+    this.spinCompleteTimeout = this.clock.setTimeout(() => {
+      this.spinCompleteTimeout = null;
+      this.completeSpin();
+    }, duration);
+  }
 
-    this.updateLastResult(pocket, outcome);
-    this.highlightPocket(pocket.id, outcome.isWin);
-    this.spinPocket(pocket.id);
-    this.stopReels(outcome);
+  completeSpin() {
+    const plan = this.reelPlan;
+    this.reelPlan = null;
+    if (plan && this.currentSpin) {
+      this.engine.emit(GAME_EVENTS.REELS_STOPPED, {
+        pocketId: this.currentSpin.pocket.id,
+        values: [...plan.values],
+        reach: plan.reach?.id ?? null,
+        fakeOut: plan.fakeOut,
+        isWin: this.currentSpin.outcome.isWin,
+      });
+    }
 
-    if (outcome.isWin) {
-      if (outcome.isRush) {
-        this.addLog(
-          `${pocket.label}で大当たり！RUSH突入、${outcome.reward}枚獲得！`
-        );
-      } else {
-        this.addLog(
-          `${pocket.label}が発動！ ${outcome.reward}枚の当たりです。`
-        );
-      }
-    } else {
-      this.addLog(`${pocket.label}・・・残念！`);
+    const entry = this.engine.completeSpin();
+    if (!entry) {
+      return;
+    }
+
+    this.updateLastResult(entry.pocket, entry.outcome);
+    this.highlightPocket(entry.pocket.id, entry.outcome.isWin);
+    this.updateDisplays();
+    this.processNextHold();
+  }
+
+  processNextHold() {
+    const entry = this.engine.startNextSpin();
+    if (entry) {
+      this.startSpin(entry);
     }
   }
 
@@ -523,10 +1444,19 @@ export class PachinkoGame {
     }
 
     const reward = outcome.reward ?? 0;
-    if (outcome.isWin) {
+    const prizeBalls = getPrizeBalls(pocket);
+    if (outcome.isWin && outcome.rounds) {
+      this.lastResultDisplay.textContent = outcome.isRush
+        ? `${pocket.label} / RUSH ${outcome.rounds}R`
+        : `${pocket.label} / 当たり ${outcome.rounds}R`;
+    } else if (outcome.isWin) {
       this.lastResultDisplay.textContent = outcome.isRush
         ? `${pocket.label} / RUSH +${reward}`
         : `${pocket.label} / 当たり +${reward}`;
+    } else if (prizeBalls > 0 && !isLotteryPocket(pocket)) {
+      this.lastResultDisplay.textContent = `${pocket.label} / 賞球 +${prizeBalls}`;
+    } else if (pocket.isOut) {
+      this.lastResultDisplay.textContent = `${pocket.label} / 抽選なし`;
     } else {
       this.lastResultDisplay.textContent = `${pocket.label} / ハズレ`;
     }
@@ -602,74 +1532,150 @@ export class PachinkoGame {
     }
   }
 
-  resolvePocketOutcome(pocket) {
-    const reward = pocket.reward ?? 0;
-    if (reward <= 0) {
-      return { isWin: false, reward: 0, isRush: false };
+  handleAutoFireToggle() {
+    if (this.autoFire) {
+      this.stopAutoFire(AUTO_FIRE_STOP_REASONS.MANUAL);
+      return;
     }
 
-    const hitRate = Math.max(0, Math.min(1, this.config.hitRate ?? 0));
-    const rushRate = Math.max(0, Math.min(1, this.config.rushRate ?? 0));
-    const rushMultiplier = Math.max(
-      1,
-      this.config.rushRewardMultiplier ?? 1
-    );
-
-    if (hitRate <= 0) {
-      return { isWin: false, reward: 0, isRush: false };
+    const options = {};
+    if (this.autoFireRateInput) {
+      options.rate = Number(this.autoFireRateInput.value);
     }
-
-    const hitRoll = this.getRandom();
-    if (hitRoll >= hitRate) {
-      return { isWin: false, reward: 0, isRush: false };
+    if (this.autoFireStopOnWinToggle) {
+      options.stopOnWin = Boolean(this.autoFireStopOnWinToggle.checked);
+    }
+    if (this.autoFireStopOnRushToggle) {
+      options.stopOnRush = Boolean(this.autoFireStopOnRushToggle.checked);
+    }
+    if (this.autoFireStopCreditsInput) {
+      options.stopBelowCredits = readOptionalNumber(
+        this.autoFireStopCreditsInput
+      );
     }
+    if (this.autoFireStopBallsInput) {
+      options.stopAfterBalls = readOptionalNumber(this.autoFireStopBallsInput);
+    }
+    this.startAutoFire(options);
+  }
 
-    const rushRoll = this.getRandom();
-    const isRush = rushRoll < rushRate;
-    const rushReward = pocket.rushReward
-      ? Math.max(pocket.rushReward, reward)
-      : reward * rushMultiplier;
+  startAutoFire({
+    rate = this.config.autoFireRate,
+    stopOnWin = this.config.autoFireStopOnWin,
+    stopOnRush = this.config.autoFireStopOnRush,
+    stopBelowCredits = this.config.autoFireStopBelowCredits,
+    stopAfterBalls = this.config.autoFireStopAfterBalls,
+  } = {}) {
+    const interval = getAutoFireInterval(rate);
+    if (!interval) {
+      this.addLog('オート発射の速度が正しくありません。');
+      return false;
+    }
 
-    return {
-      isWin: true,
-      isRush,
-      reward: isRush ? rushReward : reward,
+    this.stopAutoFire();
+    this.autoFire = {
+      interval,
+      fired: 0,
+      timeout: null,
+      options: { stopOnWin, stopOnRush, stopBelowCredits, stopAfterBalls },
     };
+    this.updateAutoFireButton();
+    this.addLog(`オート発射を開始しました (毎分${Number(rate)}発)。`);
+    this.runAutoFire();
+    return true;
   }
 
-  pickPocket() {
-    const pockets = this.config.pockets;
-    const weights = pockets.map((pocket) => Math.max(pocket.weight ?? 1, 0));
-    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  stopAutoFire(reason = null) {
+    if (!this.autoFire) {
+      return;
+    }
+
+    this.clock.clearTimeout(this.autoFire.timeout);
+    this.autoFire = null;
+    this.updateAutoFireButton();
+    if (reason) {
+      this.addLog(
+        `オート発射を停止しました (${AUTO_FIRE_STOP_LABELS[reason]})。`
+      );
+    }
+  }
 
-    if (totalWeight <= 0) {
-      return pockets[0];
+  runAutoFire() {
+    const autoFire = this.autoFire;
+    if (!autoFire) {
+      return;
     }
+    autoFire.timeout = null;
 
-    const randomValue = this.getRandom() * totalWeight;
-    let cumulative = 0;
+    const stopReason = findAutoFireStopReason(
+      { credits: this.credits, fired: autoFire.fired },
+      autoFire.options
+    );
+    if (stopReason) {
+      this.stopAutoFire(stopReason);
+      return;
+    }
 
-    for (let index = 0; index < pockets.length; index += 1) {
-      cumulative += weights[index];
-      if (randomValue < cumulative) {
-        return pockets[index];
+    if (this.canLaunch()) {
+      const ballCount = this.ballCount;
+      this.handleShoot();
+      if (this.ballCount === ballCount) {
+        this.stopAutoFire(AUTO_FIRE_STOP_REASONS.NO_CREDITS);
+        return;
       }
+      autoFire.fired += 1;
     }
 
-    return pockets[pockets.length - 1];
+    if (this.autoFire === autoFire) {
+      autoFire.timeout = this.clock.setTimeout(() => {
+        this.runAutoFire();
+      }, autoFire.interval);
+    }
   }
 
-  getRandom() {
-    const provider = this.config.randomProvider;
-    const value =
-      typeof provider === 'function' ? Math.abs(provider()) : Math.random();
-    return value - Math.floor(value);
+  handleAutoFireWin(event) {
+    if (!this.autoFire) {
+      return;
+    }
+
+    const reason = findWinStopReason(event, this.autoFire.options);
+    if (reason) {
+      this.stopAutoFire(reason);
+    }
+  }
+
+  updateAutoFireButton() {
+    if (!this.autoFireButton) {
+      return;
+    }
+
+    const active = Boolean(this.autoFire);
+    this.autoFireButton.textContent = active ? 'オート停止' : 'オート発射';
+    this.autoFireButton.setAttribute?.('aria-pressed', String(active));
+    this.autoFireButton.classList.toggle?.('is-active', active);
   }
 
   handleReset() {
-    this.credits = this.config.initialCredits;
-    this.ballCount = 0;
-    this.isDropping = false;
+    this.stopAutoFire();
+    this.cancelReplay();
+    this.resetGame();
+  }
+
+  resetGame({ seed } = {}) {
+    this.engine.reset({ seed });
+    this.resetView();
+    this.addLog(this.withSeedLabel('初期状態にリセットしました。'));
+    this.recorder.recordAction(SESSION_ACTIONS.RESET, { seed: this.seed });
+  }
+
+  resetView() {
+    this.cancelAllDrops();
+    this.clearAttackerTimer();
+    if (this.spinCompleteTimeout) {
+      this.clock.clearTimeout(this.spinCompleteTimeout);
+      this.spinCompleteTimeout = null;
+    }
+    this.reelPlan = null;
     this.eventLog.innerHTML = '';
     this.updateDisplays();
     if (this.lastResultDisplay) {
@@ -684,8 +1690,239 @@ export class PachinkoGame {
     });
     this.spinTimeouts.clear();
     this.resetReels();
-    this.addLog('初期状態にリセットしました。');
   }
+
+  handleLayoutEditorToggle() {
+    if (this.layoutEditor) {
+      this.closeLayoutEditor();
+      this.addLog('盤面エディターを閉じました。');
+      return;
+    }
+
+    if (!this.board) {
+      return;
+    }
+
+    this.stopAutoFire();
+    this.layoutEditor = new BoardLayoutEditor(this.board, {
+      layout: this.config.boardLayout,
+      pockets: this.config.pockets,
+    }).open();
+    this.layoutEditorButton?.setAttribute?.('aria-pressed', 'true');
+    this.addLog(
+      '盤面エディター: クリックで釘を追加、ドラッグで移動、Shift+クリックかDeleteキーで削除できます。'
+    );
+  }
+
+  closeLayoutEditor() {
+    if (!this.layoutEditor) {
+      return;
+    }
+
+    this.layoutEditor.close();
+    this.layoutEditor = null;
+    this.layoutEditorButton?.setAttribute?.('aria-pressed', 'false');
+  }
+
+  handleLayoutSave() {
+    if (!this.layoutEditor) {
+      this.addLog('盤面エディターを開いてから保存してください。');
+      return null;
+    }
+
+    const problems = this.layoutEditor.validate();
+    if (problems.length > 0) {
+      problems
+        .slice(0, this.config.maxLogItems - 1)
+        .forEach(({ message }) => this.addLog(message));
+      this.addLog(`配置に${problems.length}件の問題があるため保存できません。`);
+      return null;
+    }
+
+    const layout = this.layoutEditor.toJSON();
+    this.downloadFile(
+      'pachinko-layout.json',
+      JSON.stringify(layout, null, 2),
+      'application/json'
+    );
+    this.closeLayoutEditor();
+    this.applyBoardLayout(layout);
+    return layout;
+  }
+
+  applyBoardLayout(layout) {
+    this.stopAutoFire();
+    this.cancelReplay();
+    this.engine.setBoardLayout(
+      layout,
+      applyLayoutToPockets(this.config.pockets, layout)
+    );
+    this.recorder.start({
+      config: this.config,
+      seed: this.seed,
+      initialState: this.captureState(),
+    });
+    this.renderPins();
+    this.renderPockets();
+    this.addLog('盤面配置を保存して適用しました。遊技はそのまま続けられます。');
+  }
+
+  exportSession() {
+    return this.recorder.toJSON();
+  }
+
+  handleExport() {
+    const session = this.exportSession();
+    const downloaded = this.downloadFile(
+      `pachinko-session-${session.seed ?? 'stream'}.json`,
+      JSON.stringify(session),
+      'application/json'
+    );
+    if (downloaded) {
+      this.addLog(`記録を書き出しました (${session.actions.length}操作)。`);
+    }
+    return session;
+  }
+
+  handleImport(event) {
+    const input = event?.target ?? this.replayInput;
+    const file = input?.files?.[0];
+    if (!file) {
+      return Promise.resolve(this);
+    }
+
+    const speed = this.replayInstantToggle?.checked
+      ? REPLAY_SPEEDS.INSTANT
+      : REPLAY_SPEEDS.REAL;
+
+    return file
+      .text()
+      .then((text) => this.replay(text, { speed }))
+      .catch(() => {
+        this.addLog('記録ファイルを読み込めませんでした。');
+        return this;
+      })
+      .finally(() => {
+        input.value = '';
+      });
+  }
+
+  replay(input, { speed = REPLAY_SPEEDS.INSTANT } = {}) {
+    const session = parseSession(input);
+    this.stopAutoFire();
+    this.closeLayoutEditor();
+    this.cancelReplay();
+    this.resetView();
+
+    this.engine.reconfigure(
+      this.createEngineConfig({
+        ...this.config,
+        ...session.config,
+        seed: session.seed,
+        randomProvider:
+          session.seed === null
+            ? createStreamRandom(session.randomStream)
+            : null,
+      })
+    );
+    const initialState = session.initialState ?? null;
+    const dropPocketIds = readDropPocketIds(initialState);
+    if (initialState) {
+      this.engine.restore(initialState.engine);
+    }
+    this.recorder.start({ config: this.config, seed: this.seed, initialState });
+    this.renderPins();
+    this.renderPockets();
+    this.resetView();
+    this.addLog(
+      this.withSeedLabel(`記録を再生します (${session.actions.length}操作)。`)
+    );
+
+    if (speed === REPLAY_SPEEDS.REAL) {
+      this.resumePending(dropPocketIds);
+      return this.replayInRealTime(session.actions);
+    }
+
+    this.replayInstantly(session.actions, dropPocketIds);
+    return Promise.resolve(this);
+  }
+
+  replayInstantly(actions, dropPocketIds = []) {
+    const clock = createVirtualClock();
+    const { timestampProvider } = this.recorder;
+    this.clock = clock;
+    this.recorder.useTimeSource(() => clock.now);
+
+    try {
+      this.resumePending(dropPocketIds);
+      actions.forEach((action) => {
+        clock.advanceTo(action.at);
+        this.applySessionAction(action);
+      });
+      clock.flush();
+    } finally {
+      this.clock = REAL_CLOCK;
+      this.recorder.useTimeSource(timestampProvider);
+    }
+
+    this.addLog('記録の再生が完了しました。');
+  }
+
+  replayInRealTime(actions) {
+    return new Promise((resolve) => {
+      const lastAt = actions.length > 0 ? actions[actions.length - 1].at : 0;
+      this.finishReplay = resolve;
+      this.replayTimeouts = actions.map((action) =>
+        setTimeout(() => {
+          this.applySessionAction(action);
+        }, action.at)
+      );
+      this.replayTimeouts.push(
+        setTimeout(() => {
+          this.replayTimeouts = [];
+          this.finishReplay = null;
+          this.addLog('記録の再生が完了しました。');
+          resolve(this);
+        }, lastAt)
+      );
+    });
+  }
+
+  applySessionAction(action) {
+    if (action.type === SESSION_ACTIONS.SHOOT) {
+      if (action.strength !== undefined) {
+        this.setLaunchStrength(action.strength);
+      }
+      this.handleShoot();
+    } else if (action.type === SESSION_ACTIONS.RESET) {
+      this.resetGame({ seed: action.seed ?? undefined });
+    } else if (action.type === SESSION_ACTIONS.NEW_DAY) {
+      this.engine.dataCounter.reset();
+      this.announceNewDay();
+    }
+  }
+
+  cancelReplay() {
+    this.replayTimeouts.forEach((timeout) => {
+      clearTimeout(timeout);
+    });
+    this.replayTimeouts = [];
+
+    if (this.finishReplay) {
+      const resolve = this.finishReplay;
+      this.finishReplay = null;
+      resolve(this);
+    }
+  }
+}
+
+function readSeedParameter(doc) {
+  const search = doc.defaultView?.location?.search ?? doc.location?.search;
+  if (!search) {
+    return null;
+  }
+
+  return new URLSearchParams(search).get('seed');
 }
 
 export function mountPachinko(doc = document, config = {}) {
@@ -693,14 +1930,49 @@ export function mountPachinko(doc = document, config = {}) {
     throw new Error('A document instance is required to mount the pachinko game.');
   }
 
+  const seedParameter = readSeedParameter(doc);
+  if (seedParameter !== null && config.seed === undefined) {
+    config = { ...config, seed: seedParameter };
+  }
+
   const elements = {
     creditDisplay: doc.getElementById('credit-display'),
     ballCountDisplay: doc.getElementById('ball-count'),
     lastResultDisplay: doc.getElementById('last-result'),
+    modeDisplay: doc.getElementById('mode-display'),
+    seedDisplay: doc.getElementById('seed-display'),
+    attackerDisplay: doc.getElementById('attacker-display'),
+    holdDisplay: doc.getElementById('hold-indicators'),
+    slotDisplay: doc.getElementById('slot-display'),
+    dataCounterDisplays: {
+      totalSpins: doc.getElementById('data-total-spins'),
+      currentSpins: doc.getElementById('data-current-spins'),
+      bigHits: doc.getElementById('data-big-hits'),
+      rushCount: doc.getElementById('data-rush-count'),
+      maxSpins: doc.getElementById('data-max-spins'),
+      history: doc.getElementById('data-history'),
+    },
+    slumpGraph: doc.getElementById('slump-graph'),
+    slumpRange: doc.getElementById('slump-range'),
+    slumpExportButton: doc.getElementById('slump-export'),
     eventLog: doc.getElementById('event-log'),
     shootButton: doc.getElementById('shoot-button'),
     resetButton: doc.getElementById('reset-button'),
+    autoFireButton: doc.getElementById('auto-fire-button'),
+    launchStrengthInput: doc.getElementById('launch-strength'),
+    launchStrengthDisplay: doc.getElementById('launch-strength-value'),
+    autoFireRateInput: doc.getElementById('auto-fire-rate'),
+    autoFireStopOnWinToggle: doc.getElementById('auto-fire-stop-win'),
+    autoFireStopOnRushToggle: doc.getElementById('auto-fire-stop-rush'),
+    autoFireStopCreditsInput: doc.getElementById('auto-fire-stop-credits'),
+    autoFireStopBallsInput: doc.getElementById('auto-fire-stop-balls'),
+    exportButton: doc.getElementById('export-button'),
+    replayInput: doc.getElementById('replay-input'),
+    replayInstantToggle: doc.getElementById('replay-instant'),
+    layoutEditorButton: doc.getElementById('layout-editor-button'),
+    layoutSaveButton: doc.getElementById('layout-save-button'),
     board: doc.getElementById('pachinko-board'),
+    pinField: doc.getElementById('board-pins'),
     pocketRow: doc.getElementById('pocket-row'),
     slotReelLeft: doc.getElementById('slot-reel-left'),
     slotReelCenter: doc.getElementById('slot-reel-center'),
@@ -710,12 +1982,29 @@ export function mountPachinko(doc = document, config = {}) {
   return new PachinkoGame(elements, config).init();
 }
 
+export function mountMachineSelector(
+  doc = document,
+  { config, ...options } = {}
+) {
+  const game = mountPachinko(doc, config);
+  const select = doc.getElementById('spec-select');
+  if (!select) {
+    return null;
+  }
+
+  return new MachineSpecSelector(select, {
+    ...options,
+    game,
+    mount: (config) => mountPachinko(doc, config),
+  }).init();
+}
+
 if (typeof document !== 'undefined') {
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-      mountPachinko(document);
+      mountMachineSelector(document);
     });
   } else {
-    mountPachinko(document);
+    mountMachineSelector(document);
   }
 }
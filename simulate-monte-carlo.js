@@ -0,0 +1,61 @@
+import { loadSpecArgument, readArgument } from './cli.js';
+import {
+  DEFAULT_MAX_BALLS,
+  assertOutputFormat,
+  formatMonteCarlo,
+  parseStopOn,
+} from './monte-carlo.js';
+import {
+  getDefaultWorkerCount,
+  runParallelMonteCarlo,
+} from './parallel-monte-carlo.js';
+
+const args = process.argv.slice(2);
+const showProgress = process.stderr.isTTY && !args.includes('--quiet');
+let lastPercent = null;
+
+function runFromArguments() {
+  const specSource = readArgument(args, '--spec');
+  const spec = specSource ? loadSpecArgument(specSource) : null;
+  const credits = readArgument(args, '--credits');
+  const format = assertOutputFormat(readArgument(args, '--format') ?? 'text');
+  const config = { ...spec?.config };
+  if (credits !== null) {
+    config.initialCredits = Number(credits);
+  }
+
+  return runParallelMonteCarlo(config, {
+    trials: Number(readArgument(args, '--trials') ?? 1000),
+    seed: readArgument(args, '--seed'),
+    stopOn: parseStopOn(readArgument(args, '--stop-on') ?? 'rush'),
+    maxBalls: Number(readArgument(args, '--max-balls') ?? DEFAULT_MAX_BALLS),
+    histogram: readArgument(args, '--histogram') ?? 'hit',
+    workers: Number(readArgument(args, '--workers') ?? getDefaultWorkerCount()),
+    keepTrials: format === 'csv',
+    onProgress: ({ completed, total }) => {
+      const percent = Math.floor((completed / total) * 100);
+      if (showProgress && percent !== lastPercent) {
+        lastPercent = percent;
+        process.stderr.write(`\r進捗: ${percent}% (${completed}/${total})`);
+      }
+    },
+  }).then((report) => {
+    if (showProgress) {
+      process.stderr.write('\n');
+    }
+    if (spec && format === 'text') {
+      console.log(`機種: ${spec.name}`);
+    }
+    console.log(formatMonteCarlo(report, format));
+  });
+}
+
+Promise.resolve()
+  .then(runFromArguments)
+  .catch((error) => {
+    if (lastPercent !== null) {
+      process.stderr.write('\n');
+    }
+    console.error(error.message);
+    process.exitCode = 1;
+  });
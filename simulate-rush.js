@@ -1,220 +1,145 @@
-import { PachinkoGame, DEFAULT_CONFIG } from './script.js';
-
-class MockClassList {
-  constructor(element) {
-    this.element = element;
-    this._classes = new Set();
-  }
-
-  syncFromString(value) {
-    this._classes = new Set((value ?? '').split(/\s+/).filter(Boolean));
-  }
-
-  _update() {
-    this.element._className = Array.from(this._classes).join(' ');
-  }
-
-  add(...tokens) {
-    tokens.forEach((token) => {
-      if (token) {
-        this._classes.add(token);
-      }
-    });
-    this._update();
-  }
-
-  remove(...tokens) {
-    tokens.forEach((token) => {
-      this._classes.delete(token);
-    });
-    this._update();
-  }
-}
-
-class MockElement {
-  constructor(id, ownerDocument) {
-    this.id = id;
-    this.ownerDocument = ownerDocument;
-    this._className = '';
-    this._classList = new MockClassList(this);
-    this._children = [];
-    this.textContent = '';
-    this.style = {
-      setProperty() {},
-      removeProperty() {},
-    };
-  }
-
-  get className() {
-    return this._className;
-  }
-
-  set className(value) {
-    this._className = value;
-    this._classList.syncFromString(value);
-  }
-
-  get classList() {
-    return this._classList;
-  }
-
-  get children() {
-    return this._children;
-  }
-
-  get lastElementChild() {
-    return this._children[this._children.length - 1] ?? null;
-  }
-
-  prepend(child) {
-    child.parentNode = this;
-    this._children.unshift(child);
-  }
-
-  appendChild(child) {
-    child.parentNode = this;
-    this._children.push(child);
-  }
-
-  removeChild(child) {
-    const index = this._children.indexOf(child);
-    if (index >= 0) {
-      this._children.splice(index, 1);
-      child.parentNode = null;
+import { readFileSync } from 'node:fs';
+import { DEFAULT_CONFIG } from './script.js';
+import { GAME_MODES, PachinkoEngine } from './engine.js';
+import { formatSlumpCsv } from './slump.js';
+import { createSeed, createSeededRandom, normalizeSeed } from './random.js';
+import { TRAJECTORY_MODES, measurePocketDistribution } from './physics.js';
+import { loadSpecArgument, readArgument } from './cli.js';
+import {
+  DEFAULT_AUDIT_DRAWS,
+  DEFAULT_SIGNIFICANCE,
+  auditFairness,
+  formatFairnessAudit,
+} from './fairness-audit.js';
+
+function simulateRush(seed = null, overrides = {}) {
+  const game = new PachinkoEngine({ ...DEFAULT_CONFIG, ...overrides, seed });
+
+  let rushStartBall = null;
+
+  while (game.shoot()) {
+    if (rushStartBall === null && game.mode === GAME_MODES.RUSH) {
+      rushStartBall = game.ballCount;
     }
-  }
-
-  set innerHTML(value) {
-    if (value === '') {
-      this._children.forEach((child) => {
-        child.parentNode = null;
-      });
-      this._children = [];
-      return;
+    if (game.lastRushSummary) {
+      break;
     }
-    throw new Error('MockElement.innerHTML only supports clearing content.');
   }
 
-  addEventListener() {}
-}
+  const rush = game.lastRushSummary ?? game.currentRush;
 
-class MockButton extends MockElement {
-  constructor(id, ownerDocument) {
-    super(id, ownerDocument);
-    this.disabled = false;
-    this.listeners = new Map();
-  }
-
-  addEventListener(event, handler) {
-    this.listeners.set(event, handler);
-  }
-
-  click() {
-    const handler = this.listeners.get('click');
-    if (handler) {
-      handler();
-    }
-  }
+  return {
+    seed: game.seed,
+    shots: game.ballCount,
+    rushAchieved: rushStartBall !== null,
+    rushFinished: Boolean(game.lastRushSummary),
+    shotsToRush: rushStartBall,
+    rushSpins: rush?.spins ?? 0,
+    rushHits: rush?.hits ?? 0,
+    rushPayout: rush?.payout ?? 0,
+    creditsRemaining: game.credits,
+    slump: game.getSlumpSeries(),
+  };
 }
 
-class MockDocument {
-  constructor() {
-    this.elements = new Map();
-  }
-
-  registerElement(id, element) {
-    this.elements.set(id, element);
-  }
-
-  getElementById(id) {
-    return this.elements.get(id) ?? null;
-  }
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
 
-  createElement(tagName) {
-    return new MockElement(tagName, this);
-  }
+function printDistribution(
+  seed,
+  { boardLayout, launchStrength, pockets },
+  balls
+) {
+  const resolvedSeed = normalizeSeed(seed) ?? createSeed();
+  const strength = launchStrength ?? DEFAULT_CONFIG.launchStrength;
+  const rows = measurePocketDistribution({
+    layout: boardLayout ?? DEFAULT_CONFIG.boardLayout,
+    pockets: pockets ?? DEFAULT_CONFIG.pockets,
+    strength,
+    balls,
+    random: createSeededRandom(resolvedSeed),
+  });
+
+  console.log(`シード: ${resolvedSeed}`);
+  console.log(`ポケット分布 (強さ ${strength} / ${balls}発)`);
+  rows.forEach(({ label, expected, share, count }) => {
+    console.log(
+      `${label}: 設定 ${formatPercent(expected)} / 実測 ${formatPercent(
+        share
+      )} (${count}発)`
+    );
+  });
 }
 
-function createSimulationEnvironment() {
-  const doc = new MockDocument();
-  const creditDisplay = new MockElement('credit-display', doc);
-  const ballCountDisplay = new MockElement('ball-count', doc);
-  const lastResultDisplay = new MockElement('last-result', doc);
-  const eventLog = new MockElement('event-log', doc);
-  const shootButton = new MockButton('shoot-button', doc);
-  const resetButton = new MockButton('reset-button', doc);
-  const board = new MockElement('pachinko-board', doc);
-  const pocketRow = new MockElement('pocket-row', doc);
-  board.appendChild(pocketRow);
-
-  doc.registerElement('credit-display', creditDisplay);
-  doc.registerElement('ball-count', ballCountDisplay);
-  doc.registerElement('last-result', lastResultDisplay);
-  doc.registerElement('event-log', eventLog);
-  doc.registerElement('shoot-button', shootButton);
-  doc.registerElement('reset-button', resetButton);
-  doc.registerElement('pachinko-board', board);
-  doc.registerElement('pocket-row', pocketRow);
+const args = process.argv.slice(2);
+const seed = readArgument(args, '--seed');
+const layoutPath = readArgument(args, '--layout');
+const strength = readArgument(args, '--strength');
+const specSource = readArgument(args, '--spec');
+const spec = specSource ? loadSpecArgument(specSource) : null;
+const overrides = { ...spec?.config };
+if (strength !== null) {
+  overrides.launchStrength = Number(strength);
+}
+if (layoutPath) {
+  overrides.boardLayout = JSON.parse(readFileSync(layoutPath, 'utf8'));
+}
+if (args.includes('--physics') || layoutPath) {
+  overrides.trajectory = TRAJECTORY_MODES.PHYSICS;
+}
 
-  return {
-    doc,
-    elements: {
-      creditDisplay,
-      ballCountDisplay,
-      lastResultDisplay,
-      eventLog,
-      shootButton,
-      resetButton,
-      board,
-      pocketRow,
-    },
-  };
+if (spec) {
+  console.log(`機種: ${spec.name}`);
 }
 
-function simulateRush(randomProvider = DEFAULT_CONFIG.randomProvider) {
-  const { doc } = createSimulationEnvironment();
-  const config = {
-    ...DEFAULT_CONFIG,
-    animationDuration: 0,
-    spinDuration: 0,
-    randomProvider,
-  };
+if (args.includes('--distribution')) {
+  printDistribution(
+    seed,
+    overrides,
+    Number(readArgument(args, '--balls') ?? 10000)
+  );
+  process.exit(0);
+}
 
-  const game = new PachinkoGame(
-    {
-      creditDisplay: doc.getElementById('credit-display'),
-      ballCountDisplay: doc.getElementById('ball-count'),
-      lastResultDisplay: doc.getElementById('last-result'),
-      eventLog: doc.getElementById('event-log'),
-      shootButton: doc.getElementById('shoot-button'),
-      resetButton: doc.getElementById('reset-button'),
-      board: doc.getElementById('pachinko-board'),
-      pocketRow: doc.getElementById('pocket-row'),
-    },
-    config
-  ).init();
-
-  while (game.credits >= config.ballCost) {
-    game.handleShoot();
-    if (game.lastOutcome?.isRush) {
-      break;
-    }
+if (args.includes('--audit')) {
+  let report;
+  try {
+    report = auditFairness(overrides, {
+      seed,
+      draws: Number(readArgument(args, '--draws') ?? DEFAULT_AUDIT_DRAWS),
+      significance: Number(
+        readArgument(args, '--significance') ?? DEFAULT_SIGNIFICANCE
+      ),
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
-
-  return {
-    shots: game.ballCount,
-    rushAchieved: Boolean(game.lastOutcome?.isRush),
-    creditsRemaining: game.credits,
-  };
+  console.log(formatFairnessAudit(report));
+  process.exit(report.passed ? 0 : 1);
 }
 
-const result = simulateRush();
+const result = simulateRush(seed, overrides);
+
+console.log(`シード: ${result.seed}`);
 
 if (result.rushAchieved) {
-  console.log(`RUSH突入までに使用した玉数: ${result.shots}発`);
+  console.log(`RUSH突入までに使用した玉数: ${result.shotsToRush}発`);
   console.log(`総ゲーム数: ${result.shots}回転`);
-  console.log(`RUSH到達時の残りクレジット: ${result.creditsRemaining}`);
+  console.log(
+    `RUSH継続: ${result.rushSpins}回転 / 大当たり${result.rushHits}回${
+      result.rushFinished ? '' : ' (クレジット切れで中断)'
+    }`
+  );
+  console.log(`RUSH中の獲得: ${result.rushPayout}`);
+  console.log(`終了時の残りクレジット: ${result.creditsRemaining}`);
 } else {
   console.log('クレジットを使い切るまでにRUSH突入はありませんでした。');
   console.log(`総使用玉数: ${result.shots}発`);
 }
+
+if (args.includes('--slump')) {
+  console.log('');
+  console.log(formatSlumpCsv(result.slump));
+}
@@ -0,0 +1,167 @@
+export const SLUMP_MARKERS = Object.freeze({
+  WIN: 'win',
+  RUSH: 'rush',
+});
+
+export const DEFAULT_SLUMP_MAX_POINTS = 10000;
+
+export class SlumpSeries {
+  constructor({ maxPoints = DEFAULT_SLUMP_MAX_POINTS } = {}) {
+    this.maxPoints = Math.max(2, Math.floor(maxPoints ?? 0));
+    this.baseline = 0;
+    this.spins = 0;
+    this.points = [];
+  }
+
+  reset(credits) {
+    this.baseline = credits;
+    this.spins = 0;
+    this.points = [{ ball: 0, spin: 0, credits, marker: null }];
+  }
+
+  countSpin() {
+    this.spins += 1;
+  }
+
+  record({ ball, credits, marker = null }) {
+    this.points.push({ ball, spin: this.spins, credits, marker });
+    if (this.points.length > this.maxPoints) {
+      this.points.splice(0, this.points.length - this.maxPoints);
+    }
+  }
+
+  getPoints() {
+    return this.points.map((point) => ({ ...point }));
+  }
+
+  serialize() {
+    return {
+      baseline: this.baseline,
+      spins: this.spins,
+      points: this.getPoints(),
+    };
+  }
+
+  restore(state) {
+    const points = state?.points;
+    if (
+      !Number.isFinite(state?.baseline) ||
+      !Array.isArray(points) ||
+      !points.every(
+        (point) =>
+          Number.isFinite(point?.ball) &&
+          Number.isFinite(point.credits) &&
+          (point.spin === undefined || Number.isFinite(point.spin))
+      )
+    ) {
+      throw new Error('Saved slump series is malformed.');
+    }
+
+    this.baseline = state.baseline;
+    this.points = points
+      .slice(-this.maxPoints)
+      .map(({ ball, spin, credits, marker }) => ({
+        ball,
+        spin: spin ?? 0,
+        credits,
+        marker: marker ?? null,
+      }));
+    this.spins = Number.isFinite(state.spins)
+      ? state.spins
+      : this.points[this.points.length - 1]?.spin ?? 0;
+  }
+}
+
+export function selectRecentPoints(points, lastSpins) {
+  if (!Number.isFinite(lastSpins) || lastSpins <= 0 || points.length === 0) {
+    return points;
+  }
+
+  const fromSpin = points[points.length - 1].spin - lastSpins;
+  return points.filter(({ spin }) => spin >= fromSpin);
+}
+
+export function thinPoints(points, limit) {
+  if (points.length <= limit) {
+    return points;
+  }
+
+  const stride = Math.ceil(points.length / limit);
+  return points.filter(
+    (point, index) =>
+      point.marker || index % stride === 0 || index === points.length - 1
+  );
+}
+
+export function formatSlumpCsv(points) {
+  return [
+    'ball,spin,credits,marker',
+    ...points.map(
+      ({ ball, spin, credits, marker }) =>
+        `${ball},${spin},${credits},${marker ?? ''}`
+    ),
+  ].join('\n');
+}
+
+export function renderSlumpSvg(
+  points,
+  { width = 600, height = 200, padding = 12, baseline = null, limit = 600 } = {}
+) {
+  const parts = [
+    `<svg class="slump__svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="スランプグラフ">`,
+  ];
+  if (points.length === 0) {
+    parts.push('</svg>');
+    return parts.join('');
+  }
+
+  const visible = thinPoints(points, limit);
+  const credits = visible.map((point) => point.credits);
+  if (Number.isFinite(baseline)) {
+    credits.push(baseline);
+  }
+  const minCredits = Math.min(...credits);
+  const creditSpan = Math.max(1, Math.max(...credits) - minCredits);
+  const firstBall = visible[0].ball;
+  const ballSpan = Math.max(1, visible[visible.length - 1].ball - firstBall);
+  const plotWidth = width - padding * 2;
+  const plotHeight = height - padding * 2;
+
+  const toX = (ball) =>
+    (padding + ((ball - firstBall) / ballSpan) * plotWidth).toFixed(1);
+  const toY = (value) =>
+    (
+      height -
+      padding -
+      ((value - minCredits) / creditSpan) * plotHeight
+    ).toFixed(1);
+
+  if (Number.isFinite(baseline)) {
+    const y = toY(baseline);
+    const x2 = width - padding;
+    parts.push(
+      `<line class="slump__baseline" x1="${padding}" y1="${y}" x2="${x2}" y2="${y}" />`
+    );
+  }
+
+  const path = visible
+    .map(
+      ({ ball, credits: value }, index) =>
+        `${index === 0 ? 'M' : 'L'}${toX(ball)} ${toY(value)}`
+    )
+    .join(' ');
+  parts.push(`<path class="slump__line" d="${path}" />`);
+
+  visible
+    .filter(({ marker }) => marker)
+    .forEach(({ ball, credits: value, marker }) => {
+      const cx = toX(ball);
+      const cy = toY(value);
+      parts.push(
+        `<circle class="slump__marker slump__marker--${marker}" cx="${cx}" cy="${cy}" r="4"><title>${ball}発目 ${value}</title></circle>`
+      );
+    });
+
+  parts.push('</svg>');
+  return parts.join('');
+}
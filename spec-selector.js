@@ -0,0 +1,82 @@
+import {
+  MACHINE_SPEC_PRESETS,
+  fetchMachineSpec,
+  findMachineSpecPreset,
+} from './machine-specs.js';
+
+export class MachineSpecSelector {
+  constructor(
+    select,
+    {
+      game,
+      mount,
+      presets = MACHINE_SPEC_PRESETS,
+      loadSpec = fetchMachineSpec,
+    } = {}
+  ) {
+    if (!select || typeof mount !== 'function') {
+      throw new Error(
+        'MachineSpecSelector requires a select element and mount.'
+      );
+    }
+
+    this.select = select;
+    this.game = game ?? null;
+    this.mount = mount;
+    this.presets = presets;
+    this.loadSpec = loadSpec;
+    this.specId = null;
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  init() {
+    const doc = this.select.ownerDocument;
+    this.select.innerHTML = '';
+    this.presets.forEach((preset) => {
+      const option = doc.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      this.select.appendChild(option);
+    });
+    this.select.value = this.presets[0]?.id ?? '';
+    this.specId = this.select.value;
+    this.select.addEventListener('change', this.handleChange);
+    return this;
+  }
+
+  handleChange() {
+    return this.choose(this.select.value);
+  }
+
+  choose(id) {
+    const preset =
+      this.presets.find((candidate) => candidate.id === id) ??
+      findMachineSpecPreset(id);
+    if (!preset) {
+      this.select.value = this.specId;
+      this.game?.addLog(`機種「${id}」は登録されていません。`);
+      return Promise.resolve(this.game);
+    }
+
+    return Promise.resolve()
+      .then(() => this.loadSpec(preset))
+      .then((spec) => {
+        const game = this.mount(spec.config);
+        this.game?.destroy();
+        this.game = game;
+        this.specId = preset.id;
+        this.select.value = preset.id;
+        this.game.addLog(
+          spec.description
+            ? `機種を「${spec.name}」に切り替えました。(${spec.description})`
+            : `機種を「${spec.name}」に切り替えました。`
+        );
+        return this.game;
+      })
+      .catch(() => {
+        this.select.value = this.specId;
+        this.game?.addLog(`機種「${preset.name}」を読み込めませんでした。`);
+        return this.game;
+      });
+  }
+}
@@ -0,0 +1,158 @@
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+const QUANTILE_A = [
+  -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+  1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+];
+const QUANTILE_B = [
+  -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+  6.680131188771972e1, -1.328068155288572e1,
+];
+const QUANTILE_C = [
+  -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+  -2.549732539343734, 4.374664141464968, 2.938163982698783,
+];
+const QUANTILE_D = [
+  7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+  3.754408661907416,
+];
+
+const EPSILON = 1e-14;
+const TINY = 1e-300;
+const MAX_ITERATIONS = 500;
+
+function polynomial(coefficients, x) {
+  return coefficients.reduce((sum, coefficient) => sum * x + coefficient, 0);
+}
+
+function lnGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  }
+
+  const shifted = x - 1;
+  const t = shifted + 7.5;
+  let sum = LANCZOS[0];
+  for (let index = 1; index < LANCZOS.length; index += 1) {
+    sum += LANCZOS[index] / (shifted + index);
+  }
+  return (
+    0.5 * Math.log(2 * Math.PI) +
+    (shifted + 0.5) * Math.log(t) -
+    t +
+    Math.log(sum)
+  );
+}
+
+function lowerGammaSeries(a, x) {
+  let term = 1 / a;
+  let sum = term;
+  for (let n = 1; n < MAX_ITERATIONS; n += 1) {
+    term *= x / (a + n);
+    sum += term;
+    if (Math.abs(term) < Math.abs(sum) * EPSILON) {
+      break;
+    }
+  }
+  return sum * Math.exp(-x + a * Math.log(x) - lnGamma(a));
+}
+
+function upperGammaFraction(a, x) {
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < MAX_ITERATIONS; n += 1) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < TINY ? TINY : d;
+    c = b + an / c;
+    c = Math.abs(c) < TINY ? TINY : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) {
+      break;
+    }
+  }
+  return Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h;
+}
+
+export function regularizedGammaQ(a, x) {
+  if (x <= 0) {
+    return 1;
+  }
+  if (!Number.isFinite(x)) {
+    return 0;
+  }
+  return x < a + 1 ? 1 - lowerGammaSeries(a, x) : upperGammaFraction(a, x);
+}
+
+export function chiSquareTest(observed, expected) {
+  if (observed.length !== expected.length) {
+    throw new Error('observed and expected must have the same length.');
+  }
+
+  let statistic = 0;
+  let cells = 0;
+  observed.forEach((count, index) => {
+    if (expected[index] > 0) {
+      statistic += (count - expected[index]) ** 2 / expected[index];
+      cells += 1;
+    } else if (count > 0) {
+      statistic = Infinity;
+    }
+  });
+
+  const degreesOfFreedom = Math.max(0, cells - 1);
+  const pValue =
+    degreesOfFreedom > 0
+      ? regularizedGammaQ(degreesOfFreedom / 2, statistic / 2)
+      : statistic === Infinity
+      ? 0
+      : 1;
+  return { statistic, degreesOfFreedom, pValue };
+}
+
+export function normalQuantile(p) {
+  if (p <= 0 || p >= 1) {
+    throw new Error('p must be between 0 and 1.');
+  }
+
+  const lowTail = 0.02425;
+  if (p < lowTail) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return polynomial(QUANTILE_C, q) / (polynomial(QUANTILE_D, q) * q + 1);
+  }
+  if (p > 1 - lowTail) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (polynomial(QUANTILE_A, r) * q) / (polynomial(QUANTILE_B, r) * r + 1);
+}
+
+export function binomialInterval(successes, trials, confidence = 0.95) {
+  if (trials <= 0) {
+    return { low: 0, high: 1 };
+  }
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const rate = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const center = (rate + z2 / (2 * trials)) / denominator;
+  const half =
+    (z * Math.sqrt((rate * (1 - rate)) / trials + z2 / (4 * trials ** 2))) /
+    denominator;
+  return {
+    low: Math.max(0, center - half),
+    high: Math.min(1, center + half),
+  };
+}
@@ -0,0 +1,38 @@
+export function getOutcomeCategory(outcome) {
+  if (outcome?.isWin) {
+    return outcome.isRush ? 'rush' : 'win';
+  }
+  return 'miss';
+}
+
+export function getTableWeight(row, id) {
+  const weight = Number(row?.[id]);
+  return Number.isFinite(weight) ? Math.max(0, weight) : 0;
+}
+
+export function pickWeightedType(row, types, random = Math.random) {
+  const candidates = [
+    { type: null, weight: getTableWeight(row, 'none') },
+    ...types.map((type) => ({
+      type,
+      weight: getTableWeight(row, type.id),
+    })),
+  ];
+  const totalWeight = candidates.reduce((sum, { weight }) => sum + weight, 0);
+
+  if (totalWeight <= 0) {
+    return null;
+  }
+
+  const randomValue = random() * totalWeight;
+  let cumulative = 0;
+
+  for (const candidate of candidates) {
+    cumulative += candidate.weight;
+    if (randomValue < cumulative) {
+      return candidate.type;
+    }
+  }
+
+  return candidates[candidates.length - 1].type;
+}